@@ -9,10 +9,27 @@ try {
     console.error('[BG] Failed to load JSZip:', e.message);
 }
 
+try {
+    importScripts('cli_parser.js', 'compare.js', 'history.js', 'exporters.js', 'report.js', 'resume.js');
+} catch (e) {
+    console.error('[BG] Failed to load helper scripts:', e.message);
+}
+
 let isRunning = false;
 let backupZip = null;
 let rootFolderName = "";
 let activeTabId = null;
+let cliOutputs = {}; // raw CLI text by file name, for derived exports
+let backupOptions = null;
+let backupStartedAt = 0;
+let backupWarnings = []; // every "WARNING: ..." status of the current run
+let backupTimestamp = { date: "", time: "" };
+let resumeSession = null; // persisted copy of the run's progress (see resume.js), null = not resumable
+
+const DEFAULT_NAME_TEMPLATE = 'Betaflight_Backup_{date}_{time}';
+const CONTENT_SCRIPT_FILES = ["cli_parser.js", "selectors.js", "stitch.js", "content.js"];
+const DIAGNOSTICS_TIMEOUT_MS = 30000;
+let restoreExpected = null; // diff all being restored, for verification
 
 // ═══════════════════════════════════════════════════════════════════════
 //  Badge – live progress on the extension icon
@@ -44,9 +61,10 @@ function updateStatus(action, message, progress) {
 //  Must be self-contained (no closures) because it runs in world:"MAIN"
 // ═══════════════════════════════════════════════════════════════════════
 
-function findTerminalInPage() {
+// `sels` comes from the content script's selector profile (selectors.js)
+function findTerminalInPage(sels) {
     if (window.TABS?.cli?.terminal) return window.TABS.cli.terminal;
-    const sels = ['.xterm', '.terminal', '#terminal', '[class*="xterm"]'];
+    if (!sels?.length) sels = ['.xterm', '.terminal', '#terminal', '[class*="xterm"]'];
     for (const s of sels) {
         const el = document.querySelector(s);
         if (!el) continue;
@@ -67,6 +85,323 @@ function findTerminalInPage() {
     return null;
 }
 
+// ═══════════════════════════════════════════════════════════════════════
+//  CLI Exports – structured files derived from the captured CLI text
+// ═══════════════════════════════════════════════════════════════════════
+
+function addCliExports(info) {
+    const diff = cliOutputs['diff_all.txt'];
+    const dump = cliOutputs['dump_all.txt'];
+    if (!diff && !dump) return;
+
+    // A parser/exporter problem must never cost the user the rest of the backup;
+    // it ends up as a warning in the report and manifest.json instead
+    const tryExport = (label, fn) => {
+        try {
+            return fn();
+        } catch (e) {
+            console.error(`[BG] ${label} export failed:`, e);
+            backupWarnings.push({
+                message: `WARNING: ${label} export failed (${e.message}) – the raw CLI output is still in the backup`,
+                timestamp: new Date().toISOString(),
+            });
+            return null;
+        }
+    };
+
+    tryExport("CLI config", () => {
+        const cliFolder = backupZip.folder(rootFolderName).folder("CLI");
+        cliFolder.file("config.json", JSON.stringify(buildCliConfigJson(diff, dump), null, 2));
+    });
+
+    // Exporters need the full dump – diff all leaves out default values
+    if (!dump) return;
+    const model = tryExport("CLI parser", () => parseCliConfig(dump));
+    if (!model) return;
+
+    tryExport("Profiles", () => {
+        const profiles = buildProfilesExport(model);
+        if (!profiles) return;
+        const folder = getExportFolder("PID_Tuning");
+        folder.file("profiles.md", profiles.md);
+        folder.file("profiles.csv", profiles.csv);
+    });
+
+    tryExport("OSD layout", () => {
+        const osdTab = info?.tabs?.captured?.find(t => t.cls === 'tab_osd')?.osd;
+        const osd = buildOsdLayoutExport(model, osdTab);
+        if (!osd) return;
+        const folder = getExportFolder("OSD");
+        folder.file("layout.json", osd.json);
+        for (const p of osd.previews) folder.file(p.name, p.svg);
+    });
+
+    tryExport("Wiring", () => {
+        const wiring = buildWiringExport(model);
+        if (wiring) getExportFolder("Ports").file("wiring.md", wiring);
+    });
+
+    tryExport("Modes", () => {
+        const modes = buildModesExport(model);
+        if (!modes) return;
+        const folder = getExportFolder("Modes");
+        folder.file("modes.csv", modes.csv);
+        folder.file("modes.html", modes.html);
+        if (modes.adjustmentsCsv) getExportFolder("Adjustments").file("adjustments.csv", modes.adjustmentsCsv);
+    });
+
+    tryExport("Battery", () => {
+        const battery = buildBatteryExport(model);
+        if (battery) getExportFolder("Power").file("battery.json", battery);
+    });
+
+    tryExport("VTX table", () => {
+        const vtx = buildVtxTableExport(model);
+        if (!vtx) return;
+        const folder = getExportFolder("VTX");
+        folder.file("vtxtable.json", vtx.json);
+        folder.file("vtxtable_configurator.json", vtx.configurator);
+    });
+}
+
+// Exports sit next to the tab's screenshots ("06_PID_Tuning") when that
+// tab was captured, otherwise in a plain folder ("PID_Tuning").
+function getExportFolder(englishName) {
+    const root = backupZip.folder(rootFolderName);
+    const prefix = `${rootFolderName}/`;
+    const match = Object.keys(backupZip.files)
+        .map(path => path.startsWith(prefix) ? path.slice(prefix.length).split('/')[0] : null)
+        .find(dir => dir && new RegExp(`^\\d+_${englishName}$`).test(dir));
+    return root.folder(match || englishName);
+}
+
+// Parsed CLI capture of the current run (null when CLI was skipped)
+function getCliModel() {
+    const text = cliOutputs['diff_all.txt'] || cliOutputs['dump_all.txt'];
+    if (!text) return null;
+    try {
+        return parseCliConfig(text);
+    } catch (e) {
+        console.error("[BG] Could not parse CLI output:", e);
+        return null;
+    }
+}
+
+// Craft identity from the CLI header/settings (empty when CLI was skipped)
+function getCraftInfo() {
+    const model = getCliModel();
+    if (!model) return {};
+    return {
+        craftName: model.craftName,
+        firmwareVersion: model.header.version ? `${model.header.firmware} ${model.header.version}` : null,
+        board: model.boardName || model.header.target || null,
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+//  Backup Manifest – machine-readable description of every ZIP
+// ═══════════════════════════════════════════════════════════════════════
+
+async function sha256Hex(data) {
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// `info` comes from the content script: configurator version + tab report
+// `failure` ({ message, stoppedAt, notCaptured }) marks a partial backup
+async function addBackupManifest(info, failure = null) {
+    const root = backupZip.folder(rootFolderName);
+    const model = getCliModel();
+
+    const files = [];
+    for (const entry of Object.values(backupZip.files)) {
+        if (entry.dir) continue;
+        const data = await entry.async('uint8array');
+        files.push({
+            path: entry.name.slice(rootFolderName.length + 1),
+            size: data.byteLength,
+            sha256: await sha256Hex(data),
+        });
+    }
+
+    const finishedAt = Date.now();
+    const manifest = {
+        manifestVersion: 1,
+        extensionVersion: chrome.runtime.getManifest().version,
+        partial: !!failure,
+        error: failure,
+        source: info?.source || 'configurator',
+        configuratorVersion: info?.configuratorVersion || null,
+        selectorProfile: info?.selectorProfile || null,
+        msp: info?.msp || null,
+        firmware: model ? {
+            name: model.header.firmware || null,
+            version: model.header.version || null,
+            target: model.header.target || null,
+            buildDate: model.header.buildDate || null,
+            gitHash: model.header.gitHash || null,
+            mspApi: model.header.mspApi || null,
+        } : null,
+        boardName: model?.boardName || null,
+        manufacturerId: model?.manufacturerId || null,
+        craftName: model?.craftName || null,
+        options: backupOptions,
+        tabs: info?.tabs || { captured: [], skipped: [] },
+        startedAt: new Date(backupStartedAt).toISOString(),
+        finishedAt: new Date(finishedAt).toISOString(),
+        durationMs: finishedAt - backupStartedAt,
+        warnings: backupWarnings,
+        files,
+    };
+    root.file('manifest.json', JSON.stringify(manifest, null, 2));
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+//  HTML Report – index.html with screenshots, CLI and metadata
+// ═══════════════════════════════════════════════════════════════════════
+
+async function addBackupReport(info, failure = null) {
+    const root = backupZip.folder(rootFolderName);
+    const prefix = `${rootFolderName}/`;
+    const paths = Object.values(backupZip.files)
+        .filter(f => !f.dir && f.name.startsWith(prefix))
+        .map(f => f.name.slice(prefix.length))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    const inFolder = (folder) => paths.filter(p => p.startsWith(`${folder}/`));
+
+    // Captured tabs in navigation order, then export-only folders (e.g. "PID_Tuning")
+    const captured = (info?.tabs?.captured || []).filter(t => t.cls !== 'tab_cli');
+    const known = new Set(captured.map(t => t.folder).concat('CLI'));
+    const extraFolders = [...new Set(paths.filter(p => p.includes('/')).map(p => p.split('/')[0]))]
+        .filter(folder => !known.has(folder));
+    const tabs = captured.map(t => ({ label: t.label, name: t.name, folder: t.folder }))
+        .concat(extraFolders.map(folder => ({ label: '', name: folder, folder })))
+        .map(t => ({
+            ...t,
+            images: inFolder(t.folder).filter(p => REPORT_IMAGE_EXT.test(p)),
+            files: inFolder(t.folder).filter(p => !REPORT_IMAGE_EXT.test(p)),
+        }));
+
+    const cli = [];
+    for (const path of inFolder('CLI').filter(p => p.endsWith('.txt'))) {
+        cli.push({ name: path.slice(4), path, text: await backupZip.file(prefix + path).async('string') });
+    }
+
+    const model = getCliModel();
+    const html = buildBackupReportHtml({
+        title: model?.craftName ? `Betaflight Backup – ${model.craftName}` : 'Betaflight Backup',
+        summary: [
+            ['Craft name', model?.craftName],
+            ['Board', model?.boardName],
+            ['Firmware', model?.header.version ? `${model.header.firmware} ${model.header.version}` : info?.firmware?.version],
+            ['Target', model?.header.target || info?.firmware?.target],
+            ['Build', model?.header.buildDate && `${model.header.buildDate} ${model.header.buildTime} (${model.header.gitHash})`],
+            ['Configurator', info?.configuratorVersion],
+            ['Extension', chrome.runtime.getManifest().version],
+            ['Backup date', new Date(backupStartedAt).toLocaleString()],
+        ],
+        tabs,
+        cli,
+        warnings: backupWarnings,
+        skipped: info?.tabs?.skipped || [],
+        partial: failure,
+    });
+    root.file('index.html', html);
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+//  Backup History – every finished ZIP is kept in IndexedDB
+// ═══════════════════════════════════════════════════════════════════════
+
+async function saveToHistory(zip, name, dataUrl) {
+    try {
+        const blob = await (await fetch(dataUrl)).blob();
+        await addHistoryEntry({
+            timestamp: Date.now(),
+            name,
+            ...getCraftInfo(),
+            size: blob.size,
+            files: Object.values(zip.files).filter(f => !f.dir).map(f => f.name),
+            zip: blob,
+        });
+        await pruneHistory(await getHistoryLimit());
+    } catch (e) {
+        // History is a convenience – never fail the backup over it
+        console.error("[BG] Could not save backup to history:", e);
+    }
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+async function downloadFromHistory(id) {
+    const entry = await getHistoryEntry(id);
+    const zip = entry && await getHistoryZip(id);
+    if (!zip) throw new Error("Backup not found in history.");
+    const url = await blobToDataUrl(zip);
+    const name = entry.name.endsWith('.zip') ? entry.name : `${entry.name}.zip`;
+    await chrome.downloads.download({ url, filename: name, saveAs: true });
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+//  ZIP Build & Download
+// ═══════════════════════════════════════════════════════════════════════
+
+async function buildAndDownloadZip(info) {
+    addCliExports(info);
+    await applyBackupName(info);
+    await addBackupReport(info);
+    await addBackupManifest(info);
+
+    const zip = backupZip;
+    const zipName = `${rootFolderName}.zip`;
+    const base64 = await zip.generateAsync({ type: "base64" });
+    const dataUrl = "data:application/zip;base64," + base64;
+    await saveToHistory(zip, zipName, dataUrl);
+
+    // The finished backup is in the history now – nothing left to resume
+    resumeSession = null;
+    await clearResumeState().catch(e => console.warn("[BG] Could not clear resume state:", e.message));
+
+    chrome.downloads.download({
+        url: dataUrl,
+        filename: zipName,
+        saveAs: true
+    }, (downloadId) => {
+        if (chrome.runtime.lastError || !downloadId) {
+            console.error("[BG] Download failed:", chrome.runtime.lastError?.message);
+            isRunning = false;
+            backupZip = null;
+            setBadge('!', '#ef5350');
+            setTimeout(clearBadge, 8000);
+            updateStatus("backupError", "Download failed: " + (chrome.runtime.lastError?.message || "cancelled"));
+            return;
+        }
+
+        isRunning = false;
+        backupZip = null;
+        setBadge('OK', '#66bb6a');
+        setTimeout(clearBadge, 5000);
+
+        updateStatus("backupComplete", "Backup completed!");
+
+        // Desktop notification
+        chrome.notifications.create('backup-done', {
+            type: 'basic',
+            iconUrl: 'icon-v2.png',
+            title: 'Betaflight Backup Complete',
+            message: `${rootFolderName}.zip is ready for download.`,
+            priority: 1
+        });
+    });
+}
+
 // ═══════════════════════════════════════════════════════════════════════
 //  Keyboard Shortcut Handler
 // ═══════════════════════════════════════════════════════════════════════
@@ -79,13 +414,22 @@ chrome.commands.onCommand.addListener(async (command) => {
     if (!tab?.url?.includes("app.betaflight.com")) return;
 
     // Load saved preferences so keyboard shortcut respects user's tab selection
-    const { backupOptions, tabSelections } = await chrome.storage.local.get(['backupOptions', 'tabSelections']);
+    const { backupOptions, tabSelections, cliCommands } =
+        await chrome.storage.local.get(['backupOptions', 'tabSelections', 'cliCommands']);
     const options = backupOptions || { screenshots: true, cli: true, profiles: true };
     if (tabSelections) {
         options.selectedTabs = Object.entries(tabSelections)
             .filter(([_, v]) => v)
             .map(([k]) => k);
     }
+    if (cliCommands) {
+        options.cliCommands = cliCommands.filter(c => c.on);
+    }
+    // Same rule as the popup's Start button
+    if (options.cli && options.cliCommands?.length === 0) {
+        reportBackupError("Enable at least one CLI command in the popup!");
+        return;
+    }
 
     handleStartBackup(tab.id, options);
 });
@@ -94,35 +438,231 @@ chrome.commands.onCommand.addListener(async (command) => {
 //  Start Backup – shared logic for popup + keyboard shortcut
 // ═══════════════════════════════════════════════════════════════════════
 
-function handleStartBackup(tabId, options) {
+async function handleStartBackup(tabId, options) {
+    if (!beginBackup(options)) return;
+    activeTabId = tabId;
+    await prepareCaptureEngine(tabId, options);
+    await startResumeSession();
+    sendOrInject(tabId, { action: "runExtraction", options });
+}
+
+// Fresh ZIP and run state. The caller then feeds it with saveFile messages
+// and finishes with extractionComplete (content script or USB backup page).
+// `resumed` is a persisted session whose timestamp/warnings carry over.
+function beginBackup(options, resumed = null) {
     if (isRunning) {
         updateStatus("backupError", "Backup is already running.");
-        return;
+        return false;
     }
     isRunning = true;
 
     // Clear any stale error/status from previous runs
     chrome.storage.session.remove('backupStatus');
 
-    const d = new Date();
-    const timestamp = [
-        d.getFullYear(),
-        String(d.getMonth() + 1).padStart(2, '0'),
-        String(d.getDate()).padStart(2, '0')
-    ].join('-') + '_' + [
-        String(d.getHours()).padStart(2, '0'),
-        String(d.getMinutes()).padStart(2, '0')
-    ].join('-');
+    backupTimestamp = resumed?.timestamp || makeTimestamp(new Date());
 
     backupZip = new JSZip();
-    rootFolderName = `Betaflight_Backup_${timestamp}`;
+    cliOutputs = {};
+    backupOptions = options;
+    backupStartedAt = resumed?.startedAt || Date.now();
+    backupWarnings = resumed?.warnings ? [...resumed.warnings] : [];
+    resumeSession = null;
+    // Working name – the user's template is applied once craft info is known
+    rootFolderName = formatBackupName(DEFAULT_NAME_TEMPLATE, backupTimestamp);
     backupZip.folder(rootFolderName);
 
     setBadge('...', '#ff9800');
     updateStatus("backupStatusUpdate", "Starting backup...");
+    return true;
+}
+
+function addFileToZip(folderName, fileName, content, isBase64) {
+    const folder = backupZip.folder(rootFolderName).folder(folderName);
+    if (isBase64) {
+        folder.file(fileName, content.split(',')[1], { base64: true });
+    } else {
+        folder.file(fileName, content);
+        if (folderName === "CLI") cliOutputs[fileName] = content;
+    }
+}
+
+// { date: "2025-06-01", time: "14-05" } – safe in file names
+function makeTimestamp(d) {
+    return {
+        date: [
+            d.getFullYear(),
+            String(d.getMonth() + 1).padStart(2, '0'),
+            String(d.getDate()).padStart(2, '0')
+        ].join('-'),
+        time: [
+            String(d.getHours()).padStart(2, '0'),
+            String(d.getMinutes()).padStart(2, '0')
+        ].join('-'),
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+//  Resume – continue an interrupted backup from the last completed tab
+// ═══════════════════════════════════════════════════════════════════════
+
+// Replaces any earlier interrupted run. Persistence problems only cost the
+// ability to resume, never the backup itself.
+async function startResumeSession() {
+    const session = {
+        options: backupOptions,
+        timestamp: backupTimestamp,
+        startedAt: backupStartedAt,
+        completedTabs: [],
+        warnings: [],
+        firmware: null,
+        data: {},
+    };
+    try {
+        await clearResumeState();
+        await saveResumeSession(session);
+        resumeSession = session;
+    } catch (e) {
+        console.warn("[BG] Resume state unavailable:", e.message);
+    }
+}
+
+function persistResumeSession() {
+    if (!resumeSession) return Promise.resolve();
+    resumeSession.warnings = backupWarnings;
+    return saveResumeSession(resumeSession).catch(e => console.warn("[BG] Could not save resume state:", e.message));
+}
 
+async function handleResumeBackup(tabId) {
+    const session = await getResumeSession().catch(() => null);
+    if (!session) {
+        updateStatus("backupError", "There is no interrupted backup to resume.");
+        return;
+    }
+    const files = await listResumeFiles();
+    if (!beginBackup(session.options, session)) return;
     activeTabId = tabId;
-    sendOrInject(tabId, { action: "runExtraction", options });
+    for (const f of files) addFileToZip(f.folderName, f.fileName, f.content, f.isBase64);
+    resumeSession = session;
+    await prepareCaptureEngine(tabId, session.options);
+
+    console.log(`[BG] Resuming backup: ${session.completedTabs.length} tab(s), ${files.length} file(s) restored.`);
+    updateStatus("backupStatusUpdate", `Resuming backup – ${session.completedTabs.length} tab(s) already done...`);
+    sendOrInject(tabId, {
+        action: "runExtraction",
+        options: session.options,
+        resume: {
+            completedTabs: session.completedTabs,
+            files: files.map(f => f.path),
+            firmware: session.firmware,
+            data: session.data,
+        },
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+//  Restore – replays a backup's diff all (explicitly confirmed in popup)
+// ═══════════════════════════════════════════════════════════════════════
+
+function handleStartRestore(tabId, diffText) {
+    if (isRunning) {
+        updateStatus("backupError", "A backup or restore is already running.");
+        return;
+    }
+    // Checked in the restore page too – never replay half a config after `defaults nosave`
+    const problems = findRestoreProblems(diffText);
+    if (problems.length > 0) {
+        updateStatus("backupError", `Restore refused – the backup's diff_all.txt is incomplete: ${problems.join('; ')}`);
+        return;
+    }
+    const commands = buildRestoreCommands(diffText);
+    if (commands.length === 0) {
+        updateStatus("backupError", "The selected backup contains no CLI commands.");
+        return;
+    }
+    isRunning = true;
+    restoreExpected = diffText;
+    chrome.storage.session.remove('backupStatus');
+
+    setBadge('...', '#ef5350');
+    updateStatus("backupStatusUpdate", "Starting restore...");
+
+    activeTabId = tabId;
+    sendOrInject(tabId, { action: "runRestore", commands });
+}
+
+// Compare the craft's diff all after save against the restored backup
+function verifyRestore(actualText) {
+    const expected = parseCliConfig(restoreExpected);
+    const actual = parseCliConfig(actualText);
+    // Header fields (build date, git hash) legitimately differ after a flash
+    return diffCliConfigs(expected, actual).filter(c => c.section !== 'info');
+}
+
+function finishRestore(mismatches) {
+    isRunning = false;
+    restoreExpected = null;
+
+    if (mismatches.length === 0) {
+        setBadge('OK', '#66bb6a');
+        setTimeout(clearBadge, 5000);
+        updateStatus("backupComplete", "Restore verified – craft matches the backup.");
+        chrome.notifications.create('restore-done', {
+            type: 'basic',
+            iconUrl: 'icon-v2.png',
+            title: 'Betaflight Restore Complete',
+            message: 'Configuration saved and verified against the backup.',
+            priority: 1
+        });
+        return;
+    }
+
+    const sample = mismatches.slice(0, 3)
+        .map(c => `${c.section} ${c.key}: ${c.before ?? '-'} → ${c.after ?? '-'}`).join('; ');
+    setBadge('!', '#ef5350');
+    setTimeout(clearBadge, 8000);
+    updateStatus("backupError", `Restore saved, but ${mismatches.length} setting(s) differ from the backup: ${sample}`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+//  Backup Naming – {craft}_{board}_{fw}_{date} style templates
+// ═══════════════════════════════════════════════════════════════════════
+
+function formatBackupName(template, values) {
+    let name = (template || DEFAULT_NAME_TEMPLATE)
+        .replace(/\{(\w+)\}/g, (_, key) => values[key] ?? '')
+        .replace(/[<>:"/\\|?*\x00-\x1F]/g, '_')   // reserved on Windows/macOS/Linux
+        .replace(/\s+/g, '_')
+        .replace(/([_-])[_-]+/g, '$1')             // separators left by empty fields
+        .slice(0, 120)
+        .replace(/^[._-]+|[._-]+$/g, '');
+    if (/^(con|prn|aux|nul|com\d|lpt\d)$/i.test(name)) name = `_${name}`;
+    return name || formatBackupName(DEFAULT_NAME_TEMPLATE, values);
+}
+
+// Rename the ZIP's root folder (JSZip has no rename – copy the entries)
+async function renameBackupRoot(newRoot) {
+    const renamed = new JSZip();
+    renamed.folder(newRoot);
+    for (const entry of Object.values(backupZip.files)) {
+        if (entry.dir) continue;
+        const path = entry.name.slice(rootFolderName.length + 1);
+        renamed.file(`${newRoot}/${path}`, await entry.async('uint8array'), { date: entry.date });
+    }
+    backupZip = renamed;
+    rootFolderName = newRoot;
+}
+
+// Craft info comes from the CLI capture, falling back to what the content
+// script read from the configurator UI (CLI may be disabled).
+async function applyBackupName(info) {
+    const model = getCliModel();
+    const name = formatBackupName(backupOptions?.filenameTemplate, {
+        craft: model?.craftName,
+        board: model?.boardName || model?.header.target || info?.firmware?.target,
+        fw: model?.header.version || info?.firmware?.version,
+        ...backupTimestamp,
+    });
+    if (name !== rootFolderName) await renameBackupRoot(name);
 }
 
 // Try to send a message to the content script. If it's not loaded yet
@@ -141,7 +681,7 @@ async function sendOrInject(tabId, message) {
     try {
         await chrome.scripting.executeScript({
             target: { tabId },
-            files: ["content.js"]
+            files: CONTENT_SCRIPT_FILES
         });
         // Give the content script time to initialize its message listener
         await new Promise(r => setTimeout(r, 500));
@@ -155,6 +695,233 @@ async function sendOrInject(tabId, message) {
     }
 }
 
+// ═══════════════════════════════════════════════════════════════════════
+//  Full-Page Capture – Chrome DevTools Protocol (optional "debugger")
+// ═══════════════════════════════════════════════════════════════════════
+
+let debuggerTabId = null; // tab the debugger is attached to for the running backup
+let debuggerListening = false;
+
+// Callback-style chrome.debugger call as a promise: debuggerCall(cb => chrome.debugger.x(..., cb))
+function debuggerCall(call) {
+    return new Promise((resolve, reject) => {
+        call((result) => {
+            if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+            else resolve(result);
+        });
+    });
+}
+
+// Attached once for the whole backup, so Chrome's "started debugging this
+// browser" bar appears before the first capture instead of resizing the page
+// in between. False when the permission was not granted or attaching fails.
+async function attachDebugger(tabId) {
+    if (debuggerTabId === tabId) return true;
+    const granted = await chrome.permissions.contains({ permissions: ["debugger"] }).catch(() => false);
+    if (!granted || !chrome.debugger) return false;
+
+    if (!debuggerListening) {
+        debuggerListening = true;
+        // User closed the debugging bar – captures fall back to stitching
+        chrome.debugger.onDetach.addListener((source) => {
+            if (source.tabId === debuggerTabId) debuggerTabId = null;
+        });
+    }
+    try {
+        await debuggerCall(cb => chrome.debugger.attach({ tabId }, "1.3", cb));
+        debuggerTabId = tabId;
+        return true;
+    } catch (e) {
+        console.warn("[BG] Debugger attach failed:", e.message);
+        return false;
+    }
+}
+
+function detachDebugger() {
+    if (debuggerTabId === null) return;
+    const target = { tabId: debuggerTabId };
+    debuggerTabId = null;
+    chrome.debugger.detach(target, () => void chrome.runtime.lastError);
+}
+
+// Switches the run to stitching when the DevTools engine is unavailable
+async function prepareCaptureEngine(tabId, options) {
+    if (options.captureEngine !== "debugger" || await attachDebugger(tabId)) return;
+    options.captureEngine = "stitch";
+    const message = "WARNING: Full-page capture unavailable (debugger permission denied or tab busy) – using scroll & stitch";
+    backupWarnings.push({ message, timestamp: new Date().toISOString() });
+    updateStatus("backupStatusUpdate", message);
+}
+
+// Whole document in one shot; the content script has already expanded the
+// scroll container so everything is laid out
+async function captureFullPage(tabId, format, quality) {
+    const target = { tabId };
+    const metrics = await debuggerCall(cb => chrome.debugger.sendCommand(target, "Page.getLayoutMetrics", {}, cb));
+    const size = metrics.cssContentSize || metrics.contentSize;
+    const params = {
+        format,
+        captureBeyondViewport: true,
+        clip: { x: 0, y: 0, width: size.width, height: size.height, scale: 1 },
+    };
+    if (format !== "png") params.quality = quality;
+    const { data } = await debuggerCall(cb => chrome.debugger.sendCommand(target, "Page.captureScreenshot", params, cb));
+    return `data:image/${format};base64,${data}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+//  Diagnostics – JSON self-check report for bug reports
+// ═══════════════════════════════════════════════════════════════════════
+
+function withTimeout(promise, ms, what) {
+    return Promise.race([promise, new Promise((_, reject) =>
+        setTimeout(() => reject(new Error(`${what} timed out after ${ms / 1000}s`)), ms))]);
+}
+
+// Page probes run in the content script (see collectDiagnostics), which is
+// injected first if the tab doesn't have it yet
+async function requestPageDiagnostics(tabId) {
+    const ask = () => withTimeout(chrome.tabs.sendMessage(tabId, { action: "runDiagnostics" }),
+        DIAGNOSTICS_TIMEOUT_MS, "Page diagnostics");
+    try {
+        const report = await ask();
+        if (report) return report;
+    } catch (_) {
+        // Content script not loaded – inject it
+    }
+    await chrome.scripting.executeScript({ target: { tabId }, files: CONTENT_SCRIPT_FILES });
+    await new Promise(r => setTimeout(r, 500));
+    return ask();
+}
+
+// `failure` ({ message }) adds the state of the run that just failed
+async function buildDiagnosticsReport(tabId, failure) {
+    const report = {
+        diagnosticsVersion: 1,
+        createdAt: new Date().toISOString(),
+        extensionVersion: chrome.runtime.getManifest().version,
+        trigger: failure ? 'backupError' : 'manual',
+        error: failure?.message || null,
+        backup: null,
+        page: null,
+    };
+    if (failure) {
+        report.backup = {
+            startedAt: backupStartedAt ? new Date(backupStartedAt).toISOString() : null,
+            options: backupOptions,
+            warnings: backupWarnings,
+            files: backupZip
+                ? Object.values(backupZip.files).filter(f => !f.dir).map(f => f.name.slice(rootFolderName.length + 1))
+                : [],
+        };
+    }
+    report.page = tabId == null
+        ? { skipped: 'No configurator tab (USB backup).' }
+        : await requestPageDiagnostics(tabId).catch(e => ({ error: e.message }));
+    return report;
+}
+
+function downloadDiagnostics(report, filename, saveAs) {
+    return chrome.downloads.download({
+        url: 'data:application/json;charset=utf-8,' + encodeURIComponent(JSON.stringify(report, null, 2)),
+        filename,
+        saveAs,
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+//  Failed Backup – partial ZIP (<name>_PARTIAL.zip) or diagnostics alone
+// ═══════════════════════════════════════════════════════════════════════
+
+function hasCapturedFiles() {
+    return !!backupZip && Object.values(backupZip.files).some(f => !f.dir);
+}
+
+function buildPartialErrorsText(failure, info) {
+    const tabLabel = (t) => `${t.label || t.cls} (${t.cls})`;
+    const captured = info?.tabs?.captured || [];
+    const lines = [
+        'PARTIAL BACKUP – this backup did not finish.',
+        '',
+        `Error:      ${failure.message}`,
+        `Stopped at: ${failure.stoppedAt ? tabLabel(failure.stoppedAt) : 'unknown'}`,
+        `Started:    ${new Date(backupStartedAt).toISOString()}`,
+        `Stopped:    ${new Date().toISOString()}`,
+        '',
+        `Captured tabs (${captured.length}):`,
+        ...captured.map(t => `  ${t.folder}  ${t.label}`),
+        '',
+        `Not captured (${failure.notCaptured.length}):`,
+        ...failure.notCaptured.map(t => `  ${tabLabel(t)}`),
+    ];
+    if (backupWarnings.length) {
+        lines.push('', `Warnings (${backupWarnings.length}):`, ...backupWarnings.map(w => `  ${w.message}`));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Everything captured so far, marked as partial. Not added to the history,
+// and the resume state is kept so the run can still be completed.
+async function buildAndDownloadPartialZip(info, failure, report) {
+    addCliExports(info);
+    await applyBackupName(info);
+    await renameBackupRoot(`${rootFolderName}_PARTIAL`);
+
+    const root = backupZip.folder(rootFolderName);
+    root.file('errors.txt', buildPartialErrorsText(failure, info));
+    if (report) root.file('diagnostics.json', JSON.stringify(report, null, 2));
+    await addBackupReport(info, failure);
+    await addBackupManifest(info, failure);
+
+    const zipName = `${rootFolderName}.zip`;
+    const base64 = await backupZip.generateAsync({ type: "base64" });
+    await chrome.downloads.download({ url: "data:application/zip;base64," + base64, filename: zipName, saveAs: true });
+    return zipName;
+}
+
+// The diagnostics report goes into the partial ZIP, or is saved on its own
+// when there is nothing to ship (or partial ZIPs are turned off)
+async function failBackup(tabId, message, info) {
+    updateStatus("backupStatusUpdate", "Backup failed – collecting diagnostics...");
+    const report = await buildDiagnosticsReport(tabId, { message }).catch(e => {
+        console.error("[BG] Diagnostics report failed:", e.message);
+        return null;
+    });
+
+    let partialName = null;
+    if (backupOptions?.partialOnError !== false && hasCapturedFiles()) {
+        const failure = { message, stoppedAt: info?.stoppedAt || null, notCaptured: info?.notCaptured || [] };
+        updateStatus("backupStatusUpdate", "Backup failed – saving partial ZIP...");
+        try {
+            partialName = await buildAndDownloadPartialZip(info, failure, report);
+        } catch (e) {
+            console.error("[BG] Partial ZIP failed:", e.message);
+        }
+    }
+    if (!partialName && report) {
+        await downloadDiagnostics(report, `${rootFolderName}_diagnostics.json`, false)
+            .catch(e => console.error("[BG] Diagnostics download failed:", e.message));
+    }
+
+    isRunning = false;
+    backupZip = null;
+    reportBackupError(partialName ? `${message} Partial backup saved as ${partialName}.` : message);
+}
+
+function reportBackupError(message) {
+    setBadge('!', '#ef5350');
+    setTimeout(clearBadge, 8000);
+    updateStatus("backupError", message);
+
+    chrome.notifications.create('backup-error', {
+        type: 'basic',
+        iconUrl: 'icon-v2.png',
+        title: 'Betaflight Backup Failed',
+        message,
+        priority: 2
+    });
+}
+
 // ═══════════════════════════════════════════════════════════════════════
 //  Message Handler
 // ═══════════════════════════════════════════════════════════════════════
@@ -169,10 +936,14 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
     // ─── Stop Backup ──────────────────────────────────────────────────
     if (request.action === "stopBackup") {
-        if (isRunning && activeTabId) {
-            chrome.tabs.sendMessage(activeTabId, { action: "abortBackup" }).catch(() => {});
+        if (isRunning) {
+            // No tab → the run belongs to the USB backup page
+            if (activeTabId) chrome.tabs.sendMessage(activeTabId, { action: "abortBackup" }).catch(() => {});
+            else chrome.runtime.sendMessage({ action: "abortBackup" }).catch(() => {});
             isRunning = false;
             backupZip = null;
+            restoreExpected = null;
+            detachDebugger();
             setBadge('!', '#ef5350');
             setTimeout(clearBadge, 5000);
             updateStatus("backupError", "Backup stopped by user.");
@@ -180,13 +951,124 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true;
     }
 
+    // ─── Start Restore (from popup, after explicit confirmation) ─────
+    if (request.action === "startRestore") {
+        handleStartRestore(request.tabId, request.diffText);
+        return true;
+    }
+
+    // ─── Restore finished → verify against the backup ───────────────
+    if (request.action === "restoreComplete") {
+        if (!restoreExpected) return true;
+        updateStatus("backupStatusUpdate", "Verifying restored configuration...");
+        finishRestore(verifyRestore(request.actual || ''));
+        return true;
+    }
+
+    // ─── Restore Error ───────────────────────────────────────────────
+    if (request.action === "restoreError") {
+        isRunning = false;
+        restoreExpected = null;
+        setBadge('!', '#ef5350');
+        setTimeout(clearBadge, 8000);
+        // Which commands reached the FC before it was rolled back – for the restore page's log
+        if (request.sentCommands?.length) {
+            console.warn(`[BG] Restore rolled back after ${request.sentCommands.length} command(s).`);
+            chrome.runtime.sendMessage({ action: "restoreRolledBack", commands: request.sentCommands }).catch(() => {});
+        }
+        updateStatus("backupError", request.message);
+
+        chrome.notifications.create('restore-error', {
+            type: 'basic',
+            iconUrl: 'icon-v2.png',
+            title: 'Betaflight Restore Failed',
+            message: request.message,
+            priority: 2
+        });
+        return true;
+    }
+
     // ─── Start Backup (from popup) ───────────────────────────────────
     if (request.action === "startBackup") {
         handleStartBackup(request.tabId, request.options || { screenshots: true, cli: true, profiles: true });
         return true;
     }
 
-    // ─── Capture Visible Tab as JPEG ─────────────────────────────────
+    // ─── Start Backup over Web Serial (from serial.html) ─────────────
+    if (request.action === "startSerialBackup") {
+        const ok = beginBackup(request.options);
+        if (ok) activeTabId = null;
+        sendResponse({ ok });
+        return true;
+    }
+
+    // ─── Diagnostics report (from popup) ─────────────────────────────
+    if (request.action === "runDiagnostics") {
+        const { date, time } = makeTimestamp(new Date());
+        const filename = `Betaflight_Diagnostics_${date}_${time}.json`;
+        buildDiagnosticsReport(request.tabId, null)
+            .then(report => downloadDiagnostics(report, filename, true))
+            .then(() => sendResponse({ ok: true, filename }))
+            .catch(e => sendResponse({ ok: false, error: e.message }));
+        return true;
+    }
+
+    // ─── Resume an interrupted backup (from popup) ────────────────────
+    if (request.action === "getResumeState") {
+        getResumeSession()
+            .then(session => sendResponse(session && !isRunning ? {
+                available: true,
+                completedTabs: session.completedTabs.map(t => t.label),
+                startedAt: session.startedAt,
+            } : { available: false }))
+            .catch(() => sendResponse({ available: false }));
+        return true;
+    }
+
+    if (request.action === "resumeBackup") {
+        handleResumeBackup(request.tabId);
+        return true;
+    }
+
+    if (request.action === "discardResume") {
+        clearResumeState()
+            .then(() => sendResponse({ ok: true }))
+            .catch(e => sendResponse({ ok: false, error: e.message }));
+        return true;
+    }
+
+    // ─── Tab finished → advance the resume cursor ────────────────────
+    if (request.action === "tabComplete") {
+        if (resumeSession && isRunning) {
+            resumeSession.completedTabs.push(request.tab);
+            resumeSession.firmware = resumeSession.firmware || request.firmware || null;
+            persistResumeSession().then(() => sendResponse({ ok: true }));
+        } else {
+            sendResponse({ ok: false });
+        }
+        return true;
+    }
+
+    // ─── Per-run values a resumed run must reuse (e.g. original profiles)
+    if (request.action === "saveResumeData") {
+        if (resumeSession && isRunning) {
+            resumeSession.data[request.key] = request.value;
+            persistResumeSession().then(() => sendResponse({ ok: true }));
+        } else {
+            sendResponse({ ok: false });
+        }
+        return true;
+    }
+
+    // ─── Re-download a backup from history ───────────────────────────
+    if (request.action === "historyDownload") {
+        downloadFromHistory(request.id)
+            .then(() => sendResponse({ ok: true }))
+            .catch(e => sendResponse({ ok: false, error: e.message }));
+        return true;
+    }
+
+    // ─── Capture Visible Tab (JPEG or PNG) ───────────────────────────
     if (request.action === "captureTab") {
         let responded = false;
         const timeout = setTimeout(() => {
@@ -196,7 +1078,11 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             }
         }, 10000);
 
-        chrome.tabs.captureVisibleTab(sender.tab.windowId, { format: "jpeg", quality: 80 }, (dataUrl) => {
+        // PNG is lossless (quality doesn't apply); anything else is captured as JPEG
+        const captureOptions = request.format === "png"
+            ? { format: "png" }
+            : { format: "jpeg", quality: request.quality ?? 80 };
+        chrome.tabs.captureVisibleTab(sender.tab.windowId, captureOptions, (dataUrl) => {
             if (responded) return; // timeout already fired
             responded = true;
             clearTimeout(timeout);
@@ -209,12 +1095,27 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true;
     }
 
+    // ─── Full-Page Capture via DevTools (attached at backup start) ───
+    if (request.action === "captureFullPage") {
+        if (sender.tab?.id !== debuggerTabId) {
+            sendResponse({ error: "Debugger not attached" });
+            return true;
+        }
+        withTimeout(captureFullPage(sender.tab.id, request.format, request.quality ?? 80), 20000, "Page.captureScreenshot")
+            .then(dataUrl => sendResponse({ dataUrl }))
+            .catch(e => sendResponse({ error: e.message }));
+        return true;
+    }
+
     // ─── Relay Status to Popup (with progress) ──────────────────────
     if (request.action === "setStatus") {
         const progress = request.progress;
         if (progress) {
             setBadge(`${progress.current}`, '#ff9800');
         }
+        if (isRunning && request.message?.startsWith("WARNING")) {
+            backupWarnings.push({ message: request.message, timestamp: new Date().toISOString() });
+        }
         updateStatus("backupStatusUpdate", request.message, progress);
         return;
     }
@@ -226,14 +1127,19 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             sendResponse({ success: false, error: "No active backup" });
             return true;
         }
-        const folder = backupZip.folder(rootFolderName).folder(request.folderName);
-        if (request.isBase64) {
-            const base64Data = request.content.split(',')[1];
-            folder.file(request.fileName, base64Data, { base64: true });
-        } else {
-            folder.file(request.fileName, request.content);
+        const { folderName, fileName, content, isBase64 } = request;
+        addFileToZip(folderName, fileName, content, isBase64);
+        if (!resumeSession) {
+            sendResponse({ success: true });
+            return true;
         }
-        sendResponse({ success: true });
+        // Answer once persisted, so a completed tab never lacks its files
+        addResumeFile({ path: `${folderName}/${fileName}`, folderName, fileName, content, isBase64 })
+            .then(() => sendResponse({ success: true }))
+            .catch(e => {
+                console.warn("[BG] Could not persist file for resume:", e.message);
+                sendResponse({ success: true, persisted: false, error: e.message });
+            });
         return true;
     }
 
@@ -272,8 +1178,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         if (op === "debug") {
             chrome.scripting.executeScript({
                 target: { tabId }, world: "MAIN",
-                func: () => {
+                func: (findTermSrc, termSels) => {
+                    const term = new Function('return ' + findTermSrc)()(termSels);
                     const info = {
+                        terminalFound: !!term,
+                        terminalMethods: term ? ['paste', 'input', 'write', 'clear'].filter(m => typeof term[m] === 'function') : [],
+                        terminalHasBuffer: !!term?.buffer?.active,
                         hasXterm: !!document.querySelector('.xterm'),
                         hasTerminal: !!document.querySelector('.terminal'),
                         hasXtermHelper: !!document.querySelector('.xterm-helper-textarea'),
@@ -297,7 +1207,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                         }
                     }
                     return info;
-                }, args: []
+                }, args: [findTerminalInPage.toString(), request.terminalSelectors || null]
             }, (results) => {
                 sendResponse(chrome.runtime.lastError
                     ? { error: chrome.runtime.lastError.message }
@@ -310,15 +1220,15 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         if (op === "send") {
             chrome.scripting.executeScript({
                 target: { tabId }, world: "MAIN",
-                func: (cmd, findTermSrc) => {
+                func: (cmd, findTermSrc, termSels) => {
                     const findTerminal = new Function('return ' + findTermSrc)();
-                    const term = findTerminal();
+                    const term = findTerminal(termSels);
                     if (!term) return { ok: false, why: 'not found' };
                     if (typeof term.paste === 'function') { term.paste(cmd + '\n'); return { ok: true, via: 'paste' }; }
                     if (typeof term.input === 'function') { term.input(cmd + '\r'); return { ok: true, via: 'input' }; }
                     if (typeof term.write === 'function') { term.write(cmd + '\r'); return { ok: true, via: 'write' }; }
                     return { ok: false, why: 'no method', keys: Object.keys(term).slice(0, 20) };
-                }, args: [request.command, findTerminalInPage.toString()]
+                }, args: [request.command, findTerminalInPage.toString(), request.terminalSelectors || null]
             }, (results) => {
                 const r = results?.[0]?.result;
                 if (chrome.runtime.lastError) {
@@ -336,9 +1246,9 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         if (op === "read") {
             chrome.scripting.executeScript({
                 target: { tabId }, world: "MAIN",
-                func: (findTermSrc) => {
+                func: (findTermSrc, termSels) => {
                     const findTerminal = new Function('return ' + findTermSrc)();
-                    const term = findTerminal();
+                    const term = findTerminal(termSels);
                     if (!term?.buffer?.active) return '';
                     const buf = term.buffer.active;
                     const lines = [];
@@ -348,7 +1258,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                     }
                     while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
                     return lines.join('\n');
-                }, args: [findTerminalInPage.toString()]
+                }, args: [findTerminalInPage.toString(), request.terminalSelectors || null]
             }, (results) => {
                 sendResponse(chrome.runtime.lastError ? '' : (results?.[0]?.result ?? ''));
             });
@@ -359,12 +1269,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         if (op === "clear") {
             chrome.scripting.executeScript({
                 target: { tabId }, world: "MAIN",
-                func: (findTermSrc) => {
+                func: (findTermSrc, termSels) => {
                     const findTerminal = new Function('return ' + findTermSrc)();
-                    const term = findTerminal();
+                    const term = findTerminal(termSels);
                     if (term?.clear) { term.clear(); return true; }
                     return false;
-                }, args: [findTerminalInPage.toString()]
+                }, args: [findTerminalInPage.toString(), request.terminalSelectors || null]
             }, (results) => {
                 sendResponse(results?.[0]?.result ?? false);
             });
@@ -377,6 +1287,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
     // ─── Extraction Complete → Build & Download ZIP ──────────────────
     if (request.action === "extractionComplete") {
+        detachDebugger();
         if (!backupZip) {
             console.error("[BG] extractionComplete called but backupZip is null.");
             isRunning = false;
@@ -388,40 +1299,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         setBadge('ZIP', '#ff9800');
         updateStatus("backupStatusUpdate", "Generating ZIP file...");
 
-        backupZip.generateAsync({ type: "base64" }).then((base64) => {
-            const dataUrl = "data:application/zip;base64," + base64;
-            chrome.downloads.download({
-                url: dataUrl,
-                filename: `${rootFolderName}.zip`,
-                saveAs: true
-            }, (downloadId) => {
-                if (chrome.runtime.lastError || !downloadId) {
-                    console.error("[BG] Download failed:", chrome.runtime.lastError?.message);
-                    isRunning = false;
-                    backupZip = null;
-                    setBadge('!', '#ef5350');
-                    setTimeout(clearBadge, 8000);
-                    updateStatus("backupError", "Download failed: " + (chrome.runtime.lastError?.message || "cancelled"));
-                    return;
-                }
-
-                isRunning = false;
-                backupZip = null;
-                setBadge('OK', '#66bb6a');
-                setTimeout(clearBadge, 5000);
-
-                updateStatus("backupComplete", "Backup completed!");
-
-                // Desktop notification
-                chrome.notifications.create('backup-done', {
-                    type: 'basic',
-                    iconUrl: 'icon-v2.png',
-                    title: 'Betaflight Backup Complete',
-                    message: `${rootFolderName}.zip is ready for download.`,
-                    priority: 1
-                });
-            });
-        }).catch(err => {
+        buildAndDownloadZip(request.info).catch(err => {
             isRunning = false;
             setBadge('!', '#ef5350');
             setTimeout(clearBadge, 8000);
@@ -432,18 +1310,14 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
     // ─── Extraction Error ────────────────────────────────────────────
     if (request.action === "extractionError") {
-        isRunning = false;
-        setBadge('!', '#ef5350');
-        setTimeout(clearBadge, 8000);
-        updateStatus("backupError", request.message);
-
-        chrome.notifications.create('backup-error', {
-            type: 'basic',
-            iconUrl: 'icon-v2.png',
-            title: 'Betaflight Backup Failed',
-            message: request.message,
-            priority: 2
-        });
+        detachDebugger();
+        if (isRunning && backupZip) {
+            failBackup(activeTabId, request.message, request.info || null);
+        } else {
+            // Already stopped (e.g. by the user) – nothing left to save
+            isRunning = false;
+            reportBackupError(request.message);
+        }
         return true;
     }
 });
@@ -0,0 +1,317 @@
+// ============================================================================
+// Betaflight Backup Extension – CLI Parser
+// Turns raw `diff all` / `dump all` terminal output into a structured model,
+// and defines which CLI commands a backup may run.
+// Plain script (no modules): loaded via importScripts() in the service worker
+// and via <script> in extension pages. Only function/var declarations at the
+// top level so it can be loaded more than once without redeclaration errors.
+// ============================================================================
+
+// ═══════════════════════════════════════════════════════════════════════
+//  Backup Commands – user-configurable, read-only by construction
+// ═══════════════════════════════════════════════════════════════════════
+
+// timeout in ms; `on` = enabled by default
+var CLI_COMMAND_PRESET = [
+    { cmd: 'diff all',          timeout: 30000, on: true },
+    { cmd: 'dump all',          timeout: 45000, on: true },
+    { cmd: 'version',           timeout: 10000, on: true },
+    { cmd: 'status',            timeout: 10000, on: true },
+    { cmd: 'tasks',             timeout: 10000, on: false },
+    { cmd: 'resource show all', timeout: 15000, on: false },
+    { cmd: 'serial',            timeout: 10000, on: false },
+    { cmd: 'get',               timeout: 45000, on: false },
+    { cmd: 'dma show',          timeout: 10000, on: false },
+];
+
+// Commands that only print, whatever their arguments
+var CLI_READONLY_COMMANDS = ['diff', 'dump', 'get', 'help', 'version', 'status', 'tasks'];
+// Commands that print without arguments but WRITE with arguments
+var CLI_READONLY_WITHOUT_ARGS = [
+    'serial', 'feature', 'map', 'aux', 'adjrange', 'rxrange', 'rxfail', 'beeper', 'beacon',
+    'vtx', 'vtxtable', 'led', 'color', 'mode_color', 'mmix', 'smix', 'servo', 'mixer',
+    'mcu_id', 'board_name', 'manufacturer_id', 'timer', 'dma', 'resource',
+];
+
+// A backup must never change the FC – reject anything that could write
+function isReadOnlyCliCommand(command) {
+    const [name, ...args] = (command || '').trim().split(/\s+/);
+    if (CLI_READONLY_COMMANDS.includes(name)) return true;
+    if (!CLI_READONLY_WITHOUT_ARGS.includes(name)) return false;
+    if (args.length === 0) return true;
+    // `resource show all`, `dma show`, `timer show`, `resource list`...
+    return ['resource', 'dma', 'timer'].includes(name) && ['show', 'list'].includes(args[0]);
+}
+
+// "resource show all" -> "resource_show_all.txt"
+function cliCommandFileName(command) {
+    return command.trim().replace(/[^\w-]+/g, '_') + '.txt';
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+//  Output Framing – where a command's output starts and ends
+// ═══════════════════════════════════════════════════════════════════════
+
+// The CLI prompt is "# " – read back from the terminal it is a bare "#" line
+function endsWithCliPrompt(text) {
+    const lines = (text || '').trimEnd().split(/\r?\n/);
+    return lines.length > 0 && /^#\s*$/.test(lines[lines.length - 1]);
+}
+
+// Cut one command's output out of the terminal buffer. The CLI echoes the
+// command after the prompt ("# diff all"), prints the output and then a
+// fresh prompt. Output is complete once that prompt is back and, for batch
+// output (diff/dump), the batch has been closed by `batch end` or `save`.
+function frameCliOutput(buffer, cmd) {
+    const dropTrailingBlanks = (arr) => { while (arr.length > 0 && arr[arr.length - 1].trim() === '') arr.pop(); };
+    const lines = (buffer || '').split(/\r?\n/).map(l => l.trimEnd());
+    const words = cmd.trim().split(/\s+/).map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const echo = new RegExp(`^#?\\s*${words.join('\\s+')}$`);
+
+    const echoIdx = lines.findIndex(l => echo.test(l.trim()));
+    const body = lines.slice(echoIdx + 1);
+    dropTrailingBlanks(body);
+
+    const promptSeen = body.length > 0 && /^#\s*$/.test(body[body.length - 1]);
+    if (promptSeen) {
+        body.pop();
+        dropTrailingBlanks(body);
+    }
+
+    return {
+        output: body.join('\n').replace(/^\s*\n/, ''),
+        echoSeen: echoIdx >= 0,
+        complete: echoIdx >= 0 && promptSeen && isCliBatchClosed(body),
+    };
+}
+
+// `batch start` needs its `batch end` (or the closing `save` of diff/dump)
+function isCliBatchClosed(lines) {
+    const trimmed = lines.map(l => l.trim());
+    return !trimmed.includes('batch start') || trimmed.includes('batch end') || trimmed.includes('save');
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+//  Config Model
+// ═══════════════════════════════════════════════════════════════════════
+
+function createEmptyCliConfig() {
+    return {
+        header: {},
+        boardName: null,
+        manufacturerId: null,
+        mcuId: null,
+        craftName: null,
+        batch: { start: false, end: false },
+        defaults: null,
+        save: false,
+        features: {},
+        serial: [],
+        resources: [],
+        map: null,
+        aux: [],
+        master: {},
+        profiles: {},
+        rateprofiles: {},
+        activeProfile: null,
+        activeRateProfile: null,
+        commands: {},   // every other command: name -> [raw argument strings]
+        unparsed: [],
+    };
+}
+
+// "# Betaflight / STM32F7X2 (S7X2) 4.5.1 Jul  7 2024 / 03:55:52 (77d01ba3b) MSP API: 1.46"
+function parseCliVersionLine(line) {
+    const m = line.match(/^#\s*(\w+)\s*\/\s*(\S+)\s*\((\w+)\)\s*(\S+)\s+(\w{3}\s+\d+\s+\d{4})\s*\/\s*([\d:]+)\s*\((\w+)\)(?:\s*MSP API:\s*(\S+))?/);
+    if (!m) return null;
+    return {
+        firmware: m[1],
+        target: m[2],
+        targetShort: m[3],
+        version: m[4],
+        buildDate: m[5].replace(/\s+/g, ' '),
+        buildTime: m[6],
+        gitHash: m[7],
+        mspApi: m[8] || null,
+    };
+}
+
+function parseCliConfig(text) {
+    const model = createEmptyCliConfig();
+    if (!text) return model;
+
+    // Settings go to master until a `profile N` / `rateprofile N` switches scope
+    let scope = model.master;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        if (line.startsWith('#')) {
+            if (!model.header.version) {
+                const version = parseCliVersionLine(line);
+                if (version) Object.assign(model.header, version);
+            }
+            const rev = line.match(/^#\s*config rev:\s*(\S+)/i);
+            if (rev) model.header.configRev = rev[1];
+            const name = line.match(/^#\s*name:\s*(.+)$/);
+            if (name && !model.craftName) model.craftName = name[1].trim();
+            continue;
+        }
+
+        // Only lowercase command words are CLI commands; anything else is
+        // terminal noise ("Entering CLI Mode...", "###ERROR...", etc.)
+        const m = line.match(/^([a-z_]+)(?:\s+(.*))?$/);
+        if (!m) {
+            model.unparsed.push(line);
+            continue;
+        }
+        const cmd = m[1];
+        const args = (m[2] || '').trim();
+        const tokens = args ? args.split(/\s+/) : [];
+
+        switch (cmd) {
+            case 'set': {
+                const kv = args.match(/^(\S+)\s*=\s*(.*)$/);
+                if (kv) scope[kv[1]] = kv[2].trim();
+                else model.unparsed.push(line);
+                break;
+            }
+            case 'profile':
+                if (!tokens[0]) { model.unparsed.push(line); break; }
+                // The last `profile N` in the output restores the active one
+                model.activeProfile = tokens[0];
+                scope = model.profiles[tokens[0]] ||= {};
+                break;
+            case 'rateprofile':
+                if (!tokens[0]) { model.unparsed.push(line); break; }
+                model.activeRateProfile = tokens[0];
+                scope = model.rateprofiles[tokens[0]] ||= {};
+                break;
+            case 'batch':
+                if (tokens[0] === 'start') model.batch.start = true;
+                if (tokens[0] === 'end') model.batch.end = true;
+                break;
+            case 'defaults':
+                model.defaults = args || 'defaults';
+                break;
+            case 'save':
+                model.save = true;
+                break;
+            case 'board_name':
+                model.boardName = args || null;
+                break;
+            case 'manufacturer_id':
+                model.manufacturerId = args || null;
+                break;
+            case 'mcu_id':
+                model.mcuId = args || null;
+                break;
+            case 'signature':
+                break;
+            case 'name':
+                // Pre-4.2 firmware stores the craft name as a plain command
+                if (args && args !== '-') model.craftName = args;
+                break;
+            case 'feature':
+                for (const t of tokens) {
+                    if (t.startsWith('-')) model.features[t.slice(1)] = false;
+                    else model.features[t] = true;
+                }
+                break;
+            case 'serial':
+                if (tokens.length >= 2) {
+                    // Numeric port id, or the port name some targets print ("UART1")
+                    model.serial.push({
+                        identifier: /^\d+$/.test(tokens[0]) ? Number(tokens[0]) : tokens[0],
+                        functionMask: Number(tokens[1]),
+                        mspBaud: Number(tokens[2]) || 0,
+                        gpsBaud: Number(tokens[3]) || 0,
+                        telemetryBaud: Number(tokens[4]) || 0,
+                        blackboxBaud: Number(tokens[5]) || 0,
+                    });
+                } else {
+                    model.unparsed.push(line);
+                }
+                break;
+            case 'resource':
+                if (tokens.length >= 3) {
+                    model.resources.push({ function: tokens[0], index: Number(tokens[1]), pin: tokens[2] });
+                } else {
+                    model.unparsed.push(line);
+                }
+                break;
+            case 'map':
+                model.map = tokens[0] || null;
+                break;
+            case 'aux':
+                if (tokens.length >= 5) {
+                    model.aux.push({
+                        index: Number(tokens[0]),
+                        modeId: Number(tokens[1]),
+                        channel: Number(tokens[2]),
+                        low: Number(tokens[3]),
+                        high: Number(tokens[4]),
+                        logic: Number(tokens[5]) || 0,
+                        linkedTo: Number(tokens[6]) || 0,
+                    });
+                } else {
+                    model.unparsed.push(line);
+                }
+                break;
+            default:
+                (model.commands[cmd] ||= []).push(args);
+        }
+    }
+
+    // 4.3+ keeps the craft name in `set craft_name`, 4.2 in `set name`
+    const setName = model.master.craft_name ?? model.master.name;
+    if (setName && setName !== '-') model.craftName = setName;
+
+    return model;
+}
+
+// Commands to replay for a restore: every CLI command in order, without
+// comments, terminal noise or `save` (the restore flow saves only after the
+// output has been checked for errors).
+function buildRestoreCommands(text) {
+    const commands = [];
+    for (const rawLine of (text || '').split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) continue;
+        if (!/^[a-z_]+(\s|$)/.test(line)) continue;
+        if (line === 'save' || line === 'exit') continue;
+        commands.push(line);
+    }
+    return commands;
+}
+
+// Lines the firmware prints when a replayed command was rejected
+function findCliErrors(output) {
+    return (output || '').split(/\r?\n/)
+        .map(l => l.trim())
+        .filter(l => /###ERROR|Invalid name|Invalid value|Parse error|Invalid arguments/i.test(l));
+}
+
+// Why a captured diff must not be restored: a restore starts with
+// `defaults nosave`, so replaying half a config and saving it leaves the
+// craft at defaults with only part of its settings back. Empty = complete.
+function findRestoreProblems(text) {
+    const lines = (text || '').split(/\r?\n/);
+    const problems = [];
+    if (lines.some(l => /^# WARNING: output truncated/.test(l.trim()))) {
+        problems.push("the CLI output was truncated when the backup was made");
+    }
+    if (!isCliBatchClosed(lines)) problems.push("'batch start' has no matching 'batch end' or 'save'");
+    const errors = findCliErrors(text);
+    if (errors.length > 0) problems.push(`the CLI output contains errors (${errors.slice(0, 3).join(' | ')})`);
+    return problems;
+}
+
+// Combine the diff and dump captures into the document written as CLI/config.json
+function buildCliConfigJson(diffText, dumpText) {
+    return {
+        diff: diffText ? parseCliConfig(diffText) : null,
+        dump: dumpText ? parseCliConfig(dumpText) : null,
+    };
+}
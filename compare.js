@@ -0,0 +1,226 @@
+// ============================================================================
+// Betaflight Backup Extension – Backup Comparison
+// Diffs two parsed CLI configs setting-by-setting and renders the changelog
+// as Markdown and standalone HTML. Requires cli_parser.js.
+// ============================================================================
+
+// How many leading argument tokens identify a line of a repeatable command.
+// 0 = the command occurs once (key is the command itself), -1 = all but the
+// last token. Commands not listed are compared as whole lines.
+var COMPARE_KEY_TOKENS = {
+    mixer: 0,
+    adjrange: 1,
+    rxrange: 1,
+    rxfail: 1,
+    led: 1,
+    mmix: 1,
+    smix: 1,
+    servo: 1,
+    vtx: 1,
+    color: 1,
+    timer: 1,
+    mode_color: 2,
+    dma: -1,
+};
+
+// On/off style commands: `beeper -GYRO_CALIBRATED`, `beacon RX_LOST`
+var COMPARE_FLAG_COMMANDS = ['beeper', 'beacon'];
+
+function compareCommandEntry(cmd, args) {
+    if (COMPARE_FLAG_COMMANDS.includes(cmd)) {
+        const off = args.startsWith('-');
+        return { key: off ? args.slice(1) : args, value: off ? 'OFF' : 'ON' };
+    }
+
+    const tokens = args.split(/\s+/);
+    let n = COMPARE_KEY_TOKENS[cmd];
+    if (cmd === 'vtxtable') n = tokens[0] === 'band' ? 2 : 1;
+    if (n === undefined) return { key: args, value: 'present' };
+    if (n === -1) n = Math.max(tokens.length - 1, 1);
+    if (n === 0) return { key: cmd, value: args };
+    return { key: tokens.slice(0, n).join(' '), value: tokens.slice(n).join(' ') };
+}
+
+// Flatten a parsed config into { section, key, value } entries
+function flattenCliConfig(model) {
+    const entries = [];
+    const add = (section, key, value) => entries.push({ section, key, value: String(value) });
+
+    if (model.header.version) add('info', 'firmware', `${model.header.firmware} ${model.header.version}`);
+    if (model.header.target) add('info', 'target', model.header.target);
+    if (model.boardName) add('info', 'board_name', model.boardName);
+    if (model.manufacturerId) add('info', 'manufacturer_id', model.manufacturerId);
+
+    for (const [name, on] of Object.entries(model.features)) add('feature', name, on ? 'ON' : 'OFF');
+    for (const s of model.serial) {
+        add('serial', String(s.identifier),
+            [s.functionMask, s.mspBaud, s.gpsBaud, s.telemetryBaud, s.blackboxBaud].join(' '));
+    }
+    for (const r of model.resources) add('resource', `${r.function} ${r.index}`, r.pin);
+    if (model.map) add('map', 'map', model.map);
+    for (const a of model.aux) {
+        add('aux', String(a.index), [a.modeId, a.channel, a.low, a.high, a.logic, a.linkedTo].join(' '));
+    }
+
+    for (const [cmd, lines] of Object.entries(model.commands)) {
+        for (const args of lines) {
+            const { key, value } = compareCommandEntry(cmd, args);
+            add(cmd, key, value);
+        }
+    }
+
+    for (const [key, value] of Object.entries(model.master)) add('master', key, value);
+    for (const [n, settings] of Object.entries(model.profiles)) {
+        for (const [key, value] of Object.entries(settings)) add(`profile ${n}`, key, value);
+    }
+    for (const [n, settings] of Object.entries(model.rateprofiles)) {
+        for (const [key, value] of Object.entries(settings)) add(`rateprofile ${n}`, key, value);
+    }
+    return entries;
+}
+
+// `diff all` only lists settings that differ from the firmware defaults, so a
+// setting missing from the later diff was reset to its default, not removed
+var CHANGE_LABELS = { added: 'added', reset: 'reset to default', modified: 'modified' };
+
+function diffCliConfigs(before, after) {
+    const toMap = (model) => {
+        const map = new Map();
+        for (const e of flattenCliConfig(model)) map.set(`${e.section}\u0000${e.key}`, e);
+        return map;
+    };
+    const a = toMap(before);
+    const b = toMap(after);
+    const changes = [];
+
+    for (const [id, e] of a) {
+        if (!b.has(id)) {
+            changes.push({ type: 'reset', section: e.section, key: e.key, before: e.value, after: null });
+        } else if (b.get(id).value !== e.value) {
+            changes.push({ type: 'modified', section: e.section, key: e.key, before: e.value, after: b.get(id).value });
+        }
+    }
+    for (const [id, e] of b) {
+        if (!a.has(id)) changes.push({ type: 'added', section: e.section, key: e.key, before: null, after: e.value });
+    }
+
+    // Keep sections in a stable, readable order: info first, profiles last
+    const sectionRank = (s) => s === 'info' ? 0 : s === 'master' ? 2
+        : s.startsWith('profile ') ? 3 : s.startsWith('rateprofile ') ? 4 : 1;
+    changes.sort((x, y) => sectionRank(x.section) - sectionRank(y.section)
+        || x.section.localeCompare(y.section, undefined, { numeric: true })
+        || x.key.localeCompare(y.key, undefined, { numeric: true }));
+    return changes;
+}
+
+function groupChangesBySection(changes) {
+    const groups = new Map();
+    for (const c of changes) {
+        if (!groups.has(c.section)) groups.set(c.section, []);
+        groups.get(c.section).push(c);
+    }
+    return groups;
+}
+
+function describeBackupSide(label, model) {
+    const parts = [model.craftName, model.boardName,
+        model.header.version && `${model.header.firmware} ${model.header.version}`].filter(Boolean);
+    return parts.length ? `${label} (${parts.join(', ')})` : label;
+}
+
+function countChanges(changes) {
+    const counts = { added: 0, reset: 0, modified: 0 };
+    for (const c of changes) counts[c.type]++;
+    return counts;
+}
+
+function renderChangesMarkdown(changes, beforeName, afterName, beforeModel, afterModel) {
+    const cell = (v) => v == null ? '' : `\`${String(v).replace(/\|/g, '\\|')}\``;
+    const afterCell = (c) => c.type === 'reset' ? '*default*' : cell(c.after);
+    const counts = countChanges(changes);
+    const out = [
+        '# Betaflight Configuration Changes',
+        '',
+        `- **Before:** ${describeBackupSide(beforeName, beforeModel)}`,
+        `- **After:** ${describeBackupSide(afterName, afterModel)}`,
+        `- **Summary:** ${counts.added} added, ${counts.reset} reset to default, ${counts.modified} modified`,
+        '',
+    ];
+
+    if (changes.length === 0) {
+        out.push('No differences found in `diff all`.', '');
+        return out.join('\n');
+    }
+
+    for (const [section, items] of groupChangesBySection(changes)) {
+        out.push(`## ${section}`, '', '| Change | Setting | Before | After |', '|---|---|---|---|');
+        for (const c of items) {
+            out.push(`| ${CHANGE_LABELS[c.type]} | ${c.key.replace(/\|/g, '\\|')} | ${cell(c.before)} | ${afterCell(c)} |`);
+        }
+        out.push('');
+    }
+    return out.join('\n');
+}
+
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderChangesHtml(changes, beforeName, afterName, beforeModel, afterModel) {
+    const counts = countChanges(changes);
+    const sections = [];
+    for (const [section, items] of groupChangesBySection(changes)) {
+        const rows = items.map(c =>
+            `<tr class="${c.type}"><td>${CHANGE_LABELS[c.type]}</td><td>${escapeHtml(c.key)}</td>` +
+            `<td>${c.before == null ? '' : escapeHtml(c.before)}</td>` +
+            `<td>${c.type === 'reset' ? '<em>default</em>' : c.after == null ? '' : escapeHtml(c.after)}</td></tr>`).join('\n');
+        sections.push(`<h2>${escapeHtml(section)}</h2>\n<table>\n` +
+            `<tr><th>Change</th><th>Setting</th><th>Before</th><th>After</th></tr>\n${rows}\n</table>`);
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Betaflight Configuration Changes</title>
+<style>
+    body { font-family: 'Segoe UI', system-ui, sans-serif; background: #0f0f1a; color: #c8c8d4; margin: 24px; }
+    h1 { color: #fff; font-size: 20px; }
+    h2 { color: #ffab40; font-size: 15px; margin-top: 24px; }
+    table { border-collapse: collapse; width: 100%; font-size: 13px; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid rgba(255, 255, 255, 0.06); }
+    td:nth-child(3), td:nth-child(4) { font-family: monospace; }
+    tr.added td:first-child { color: #66bb6a; }
+    tr.reset td:first-child { color: #ef5350; }
+    tr.modified td:first-child { color: #ffab40; }
+</style>
+</head>
+<body>
+<h1>Betaflight Configuration Changes</h1>
+<p><strong>Before:</strong> ${escapeHtml(describeBackupSide(beforeName, beforeModel))}<br>
+<strong>After:</strong> ${escapeHtml(describeBackupSide(afterName, afterModel))}<br>
+<strong>Summary:</strong> ${counts.added} added, ${counts.reset} reset to default, ${counts.modified} modified</p>
+${sections.length ? sections.join('\n') : '<p>No differences found in <code>diff all</code>.</p>'}
+</body>
+</html>
+`;
+}
+
+// Locate CLI/diff_all.txt inside a backup ZIP (it sits below the root folder).
+// `partial`: the ZIP of a failed run (<name>_PARTIAL root folder, errors.txt)
+async function readBackupDiffAll(file) {
+    const zip = await JSZip.loadAsync(file);
+    const entry = Object.values(zip.files).find(f => !f.dir && /(^|\/)CLI\/diff_all\.txt$/.test(f.name));
+    if (!entry) throw new Error(`${file.name} contains no CLI/diff_all.txt`);
+    const root = entry.name.slice(0, -'CLI/diff_all.txt'.length);
+    const partial = /_PARTIAL\/$/.test(root) || !!zip.file(`${root}errors.txt`);
+    return { text: await entry.async('string'), partial };
+}
+
+async function readDiffAllFromZip(file) {
+    return (await readBackupDiffAll(file)).text;
+}
@@ -0,0 +1,57 @@
+// ============================================================================
+// Betaflight Backup Extension – Compare Backups Page
+// Picks two backup ZIPs and downloads the changelog between their diff all
+// (compare.js). A page of its own because the action popup closes as soon
+// as a file dialog takes focus, losing the first selection.
+// ============================================================================
+
+document.getElementById('versionLabel').textContent = 'v' + chrome.runtime.getManifest().version;
+
+const compareBefore = document.getElementById('compareBefore');
+const compareAfter = document.getElementById('compareAfter');
+const compareBtn = document.getElementById('compareBtn');
+const statusEl = document.getElementById('status');
+const statusText = document.getElementById('statusText');
+
+function showStatus(msg, type) {
+    statusText.textContent = msg;
+    statusEl.className = 'status' + (type ? ' ' + type : '');
+}
+
+compareBtn.addEventListener('click', async () => {
+    const beforeFile = compareBefore.files[0];
+    const afterFile = compareAfter.files[0];
+    if (!beforeFile || !afterFile) {
+        showStatus("Select two backup ZIPs to compare!", "error");
+        return;
+    }
+
+    compareBtn.disabled = true;
+    showStatus("Comparing...", "running");
+    try {
+        const [beforeText, afterText] = await Promise.all([
+            readDiffAllFromZip(beforeFile),
+            readDiffAllFromZip(afterFile),
+        ]);
+        const beforeModel = parseCliConfig(beforeText);
+        const afterModel = parseCliConfig(afterText);
+        const changes = diffCliConfigs(beforeModel, afterModel);
+
+        const folder = `Betaflight_Changes_${beforeFile.name.replace(/\.zip$/i, '')}_vs_${afterFile.name.replace(/\.zip$/i, '')}`;
+        const md = renderChangesMarkdown(changes, beforeFile.name, afterFile.name, beforeModel, afterModel);
+        const html = renderChangesHtml(changes, beforeFile.name, afterFile.name, beforeModel, afterModel);
+        await chrome.downloads.download({
+            url: 'data:text/markdown;charset=utf-8,' + encodeURIComponent(md),
+            filename: `${folder}/changes.md`,
+        });
+        await chrome.downloads.download({
+            url: 'data:text/html;charset=utf-8,' + encodeURIComponent(html),
+            filename: `${folder}/changes.html`,
+        });
+        showStatus(`${changes.length} change${changes.length === 1 ? '' : 's'} found.`, "success");
+    } catch (e) {
+        showStatus("Compare failed: " + e.message, "error");
+    } finally {
+        compareBtn.disabled = false;
+    }
+});
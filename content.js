@@ -12,8 +12,10 @@ window._bfBackupLoaded = true;
 
 var backupRunning = false;
 var abortRequested = false;
+var resumedFiles = new Set(); // "folder/file" paths a resumed run already has
+var resumeData = {};          // values saved by the interrupted run (saveResumeData)
 
-chrome.runtime.onMessage.addListener((request, _sender, _sendResponse) => {
+chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
     if (request.action === "runExtraction") {
         if (backupRunning) {
             console.warn("[BF-Backup] Backup already running – ignoring duplicate signal.");
@@ -26,10 +28,11 @@ chrome.runtime.onMessage.addListener((request, _sender, _sendResponse) => {
         // Wrap in async IIFE to guarantee all errors (sync + async) are caught
         (async () => {
             try {
-                await startBackupProcess(options);
+                await startBackupProcess(options, request.resume || null);
             } catch (e) {
                 console.error("[BF-Backup] Fatal:", e);
-                chrome.runtime.sendMessage({ action: "extractionError", message: e.toString() }).catch(() => {});
+                chrome.runtime.sendMessage({ action: "extractionError", message: e.toString(), info: e.backupInfo || null })
+                    .catch(() => {});
             } finally {
                 backupRunning = false;
                 abortRequested = false;
@@ -37,11 +40,39 @@ chrome.runtime.onMessage.addListener((request, _sender, _sendResponse) => {
         })();
         return; // no async response needed
     }
+    if (request.action === "runRestore") {
+        if (backupRunning) {
+            console.warn("[BF-Backup] Backup/restore already running – ignoring restore signal.");
+            return;
+        }
+        backupRunning = true;
+        abortRequested = false;
+        console.log("[BF-Backup] Received runRestore signal.");
+        (async () => {
+            try {
+                await startRestoreProcess(request.commands || []);
+            } catch (e) {
+                console.error("[BF-Backup] Restore failed:", e);
+                chrome.runtime.sendMessage({ action: "restoreError", message: e.toString(), sentCommands: e.sentCommands })
+                    .catch(() => {});
+            } finally {
+                backupRunning = false;
+                abortRequested = false;
+            }
+        })();
+        return;
+    }
     if (request.action === "abortBackup") {
         console.log("[BF-Backup] Abort requested.");
         abortRequested = true;
         return; // no async response needed
     }
+    if (request.action === "runDiagnostics") {
+        collectDiagnostics()
+            .then(report => sendResponse(report))
+            .catch(e => sendResponse({ error: e.toString() }));
+        return true; // async response
+    }
 });
 
 function checkAbort() {
@@ -74,24 +105,16 @@ function stopKeepalive() {
 }
 
 function isConnected() {
-    // Method 1: BEM-style button (newer web configurator)
-    const bemBtn = document.querySelector('.connection_button__link');
-    if (bemBtn) return bemBtn.classList.contains('active');
+    // Method 1: Connect button of the active selector profile (then the others)
+    const connectBtn = queryFirst('connectButton');
+    if (connectBtn) return connectBtn.classList.contains('active');
 
-    // Method 2: Classic connect button
-    const classicBtn = document.querySelector('.connect_b a, .connect_b button, .connect-button');
-    if (classicBtn) return classicBtn.classList.contains('active');
-
-    // Method 3: Connection state indicator
-    const indicator = document.querySelector('[class*="connect"][class*="active"]');
+    // Method 2: Connection state indicator
+    const indicator = queryFirst('connectedIndicator');
     if (indicator) return true;
 
-    // Method 4: Check if navigation tabs are visible (they only show when connected)
-    const navTabs = document.querySelectorAll('ul.mode-connected > li');
-    if (navTabs.length > 0) {
-        const anyVisible = Array.from(navTabs).some(li => li.offsetHeight > 0);
-        if (anyVisible) return true;
-    }
+    // Method 3: Check if navigation tabs are visible (they only show when connected)
+    if (queryFirst('navTabItems', { accept: li => li.offsetHeight > 0 })) return true;
 
     // If no connection indicator found at all, assume connected (don't abort)
     console.warn("[BF-Backup] Connection check: no indicator found, assuming connected.");
@@ -118,6 +141,26 @@ function setProgress(current, total) {
 let lastCaptureTime = 0;
 const MIN_CAPTURE_INTERVAL = 1100;
 
+// Output formats offered in the popup (options.imageFormat / imageQuality)
+const IMAGE_FORMATS = {
+    jpeg: { ext: 'jpg', mime: 'image/jpeg' },
+    png: { ext: 'png', mime: 'image/png' },
+    webp: { ext: 'webp', mime: 'image/webp' },
+};
+// Same bounds as the popup's quality slider (#optImageQuality)
+const IMAGE_QUALITY_MIN = 40;
+const IMAGE_QUALITY_MAX = 100;
+let imageSettings = { format: 'jpeg', quality: 80, engine: 'stitch' };
+
+function setImageSettings(options) {
+    imageSettings = {
+        format: IMAGE_FORMATS[options.imageFormat] ? options.imageFormat : 'jpeg',
+        quality: Math.min(IMAGE_QUALITY_MAX, Math.max(IMAGE_QUALITY_MIN, Number(options.imageQuality) || 80)),
+        // 'debugger' = full-page capture through the service worker (DevTools protocol)
+        engine: options.captureEngine === 'debugger' ? 'debugger' : 'stitch',
+    };
+}
+
 // Hide bottom bars (status bars, footers) during multi-part screenshots
 // so they don't appear in the middle of stitched images.
 // Catches both position:fixed/sticky AND flex-based footers below the scroll area.
@@ -169,17 +212,28 @@ async function captureAndSave(folderName, baseFileName) {
 
     const maxScroll = scrollEl.scrollHeight - scrollEl.clientHeight;
 
-    // Not meaningfully scrollable → single screenshot (keep sticky bars visible)
+    // Not meaningfully scrollable → single screenshot (keep sticky bars visible).
+    // JPEG comes straight from the browser; other formats are captured
+    // lossless and encoded once, so nothing is compressed twice.
     if (maxScroll <= 100) {
-        const dataUrl = await requestScreenshot();
+        const dataUrl = await requestScreenshot(imageSettings.format === 'jpeg' ? 'jpeg' : 'png');
         if (!dataUrl) {
             setStatus(`WARNING: Screenshot failed for ${baseFileName}`);
             return;
         }
-        await saveToZip(folderName, `${baseFileName}.jpg`, dataUrl, true);
+        await saveImage(folderName, baseFileName, dataUrl);
         return;
     }
 
+    // DevTools engine: the whole page in one capture, no scrolling
+    if (imageSettings.engine === 'debugger') {
+        const dataUrl = await captureExpandedPage(scrollEl);
+        if (dataUrl) {
+            await saveImage(folderName, baseFileName, dataUrl);
+            return;
+        }
+    }
+
     // Multi-part scroll: hide sticky bottom bars to avoid them appearing mid-stitch
     const hiddenEls = hideStickyBottomElements();
 
@@ -188,12 +242,18 @@ async function captureAndSave(folderName, baseFileName) {
         scrollEl.scrollTop = 0;
         await sleep(200);
 
+        // Scroll by the visible band below any sticky header, keeping some
+        // rows of overlap so the stitcher can verify the distance
+        const geometry = getScrollGeometry(scrollEl);
+        const step = Math.max(100, geometry.bottom - geometry.top - geometry.stickyTop - STITCH_SCROLL_OVERLAP);
+
         const parts = [];
         const scrollDeltas = [];
 
         while (true) {
             checkAbort();
-            const dataUrl = await requestScreenshot();
+            // Parts are lossless – the stitched image is encoded once at the end
+            const dataUrl = await requestScreenshot('png');
             if (!dataUrl) {
                 setStatus(`WARNING: Screenshot failed for ${baseFileName}`);
                 break;
@@ -203,7 +263,7 @@ async function captureAndSave(folderName, baseFileName) {
             if (scrollEl.scrollTop + scrollEl.clientHeight >= scrollEl.scrollHeight - 5) break;
 
             const prevScrollTop = scrollEl.scrollTop;
-            scrollEl.scrollTop += scrollEl.clientHeight;
+            scrollEl.scrollTop += step;
             await sleep(300);
             const actualDelta = scrollEl.scrollTop - prevScrollTop;
             scrollDeltas.push(actualDelta);
@@ -212,16 +272,22 @@ async function captureAndSave(folderName, baseFileName) {
         if (parts.length === 0) return;
 
         if (parts.length === 1) {
-            await saveToZip(folderName, `${baseFileName}.jpg`, parts[0], true);
+            await saveImage(folderName, baseFileName, parts[0]);
             return;
         }
 
-        const stitched = await stitchScreenshots(parts, scrollDeltas);
-        if (stitched) {
-            await saveToZip(folderName, `${baseFileName}.jpg`, stitched, true);
+        // Too tall for one canvas → vertically continuous _part1, _part2, …
+        const tiles = await stitchScreenshots(parts, scrollDeltas, geometry);
+        if (tiles?.length === 1) {
+            await saveImage(folderName, baseFileName, tiles[0]);
+        } else if (tiles) {
+            for (let i = 0; i < tiles.length; i++) {
+                await saveImage(folderName, `${baseFileName}_part${i + 1}`, tiles[i]);
+            }
         } else {
+            setStatus(`WARNING: Stitching failed for ${baseFileName} – saved ${parts.length} unstitched screenshots`);
             for (let i = 0; i < parts.length; i++) {
-                await saveToZip(folderName, `${baseFileName}_part${i + 1}.jpg`, parts[i], true);
+                await saveImage(folderName, `${baseFileName}_part${i + 1}`, parts[i]);
             }
         }
     } finally {
@@ -229,56 +295,184 @@ async function captureAndSave(folderName, baseFileName) {
     }
 }
 
-// Combine multiple scrolled screenshots into one tall image.
-// For parts 2+, only the bottom `scrollDelta` pixels contain new content –
-// everything above is either the fixed header or already-captured content.
-async function stitchScreenshots(dataUrls, scrollDeltas) {
+// Un-clips the scroll container and its ancestors so the whole page is laid
+// out, then has the service worker capture it via Page.captureScreenshot.
+// Null → stitch instead: too tall for one image, or the debugger is gone
+// (then the rest of the run stitches too).
+async function captureExpandedPage(scrollEl) {
+    if (scrollEl.scrollHeight * window.devicePixelRatio > STITCH_MAX_CANVAS_HEIGHT) return null;
+
+    const expanded = [];
+    for (let el = scrollEl; el; el = el.parentElement) {
+        expanded.push({ el, css: el.style.cssText });
+        el.style.setProperty('height', 'auto', 'important');
+        el.style.setProperty('max-height', 'none', 'important');
+        el.style.setProperty('overflow', 'visible', 'important');
+    }
+
     try {
-        const images = await Promise.all(dataUrls.map(url => new Promise((resolve, reject) => {
-            const img = new Image();
-            img.onload = () => resolve(img);
-            img.onerror = reject;
-            img.src = url;
-        })));
+        await sleep(300);
+        const res = await new Promise(resolve => {
+            chrome.runtime.sendMessage({ action: 'captureFullPage', format: imageSettings.format, quality: imageSettings.quality }, r => {
+                resolve(chrome.runtime.lastError ? { error: chrome.runtime.lastError.message } : r || { error: 'no response' });
+            });
+        });
+        if (res.dataUrl) return res.dataUrl;
+        imageSettings.engine = 'stitch';
+        setStatus(`WARNING: Full-page capture failed (${res.error}) – using scroll & stitch`);
+        return null;
+    } finally {
+        for (const { el, css } of expanded) el.style.cssText = css;
+        scrollEl.scrollTop = 0;
+        await sleep(200);
+    }
+}
+
+// Visible rectangle of the scroll container in CSS px, clipped to the
+// viewport, plus the height of any sticky/fixed header pinned to its top
+// (content scrolls underneath it, so it must only appear once)
+function getScrollGeometry(scrollEl) {
+    const viewW = window.innerWidth;
+    const viewH = window.innerHeight;
+    const rect = scrollEl === document.documentElement || scrollEl === document.body
+        ? { top: 0, bottom: viewH, left: 0, right: viewW }
+        : scrollEl.getBoundingClientRect();
+    const top = Math.max(0, rect.top);
+    const bottom = Math.min(viewH, rect.bottom);
+
+    let stickyTop = 0;
+    for (const el of scrollEl.querySelectorAll('*')) {
+        const style = getComputedStyle(el);
+        if (style.position !== 'fixed' && style.position !== 'sticky') continue;
+        const r = el.getBoundingClientRect();
+        if (r.top <= top + 2 && r.bottom > top && r.height < (bottom - top) / 2) {
+            stickyTop = Math.max(stickyTop, r.bottom - top);
+        }
+    }
+
+    return {
+        top, bottom, stickyTop,
+        left: Math.max(0, rect.left),
+        right: Math.min(viewW, rect.right),
+    };
+}
+
+// Row fingerprints of the container's columns (see stitch.js)
+function bandSignatures(img, band) {
+    const canvas = document.createElement('canvas');
+    canvas.width = band.right - band.left;
+    canvas.height = img.height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(img, band.left, 0, canvas.width, img.height, 0, 0, canvas.width, img.height);
+    return rowSignatures(ctx.getImageData(0, 0, canvas.width, img.height));
+}
 
+// Combine scrolled screenshots into one tall image – or several vertically
+// continuous tiles when it would exceed the canvas limits. The scroll
+// distance between captures is checked against the overlapping pixel rows;
+// later captures only contribute the new rows of the scroll container, so
+// headers, sticky headers and sidebars appear once. Returns data URLs or null.
+async function stitchScreenshots(dataUrls, scrollDeltas, geometry) {
+    try {
+        const images = await Promise.all(dataUrls.map(loadImage));
         const width = images[0].width;
-        const imgHeight = images[0].height;
+        const imageHeight = images[0].height;
         // Scale factor: screenshot pixels vs CSS pixels
         const scale = width / window.innerWidth;
+        const px = v => Math.round(v * scale);
+        const band = {
+            left: px(geometry.left),
+            right: Math.min(width, px(geometry.right)),
+            top: px(geometry.top + geometry.stickyTop),
+            bottom: Math.min(imageHeight, px(geometry.bottom)),
+        };
 
-        // Total height = first image + only new pixels from each subsequent image
-        let totalHeight = imgHeight;
-        for (let i = 0; i < scrollDeltas.length; i++) {
-            totalHeight += Math.round(scrollDeltas[i] * scale);
-        }
-
-        const canvas = document.createElement('canvas');
-        canvas.width = width;
-        canvas.height = totalHeight;
-        const ctx = canvas.getContext('2d');
-
-        // First screenshot: draw fully (includes header + first page of content)
-        ctx.drawImage(images[0], 0, 0);
-
-        // Subsequent screenshots: extract ONLY the new pixels from the bottom
-        let y = imgHeight;
-        for (let i = 0; i < scrollDeltas.length; i++) {
-            const newPx = Math.round(scrollDeltas[i] * scale);
-            const srcY = imgHeight - newPx; // new content starts here in the image
-            ctx.drawImage(images[i + 1],
-                0, srcY, width, newPx,   // source: only bottom portion (new content)
-                0, y, width, newPx);     // dest: append below previous
-            y += newPx;
+        const frames = [{ offset: 0 }];
+        let prev = bandSignatures(images[0], band);
+        for (let i = 1; i < images.length; i++) {
+            const next = bandSignatures(images[i], band);
+            const expected = px(scrollDeltas[i - 1]);
+            const offset = findScrollOffset(prev, next, expected, band.top, band.bottom);
+            if (offset !== expected) {
+                console.log(`[BF-Backup] Stitch: part ${i + 1} scrolled ${offset}px, reported ${expected}px`);
+            }
+            frames.push({ offset });
+            prev = next;
         }
 
-        return canvas.toDataURL('image/jpeg', 0.85);
+        const tiles = planStitch(frames, { imageHeight, top: band.top, bottom: band.bottom }, maxStitchHeight(width));
+
+        // Sidebars beside the container only exist in the first capture;
+        // below that they're filled with the colour at its bottom-left corner
+        const corner = document.createElement('canvas').getContext('2d');
+        corner.drawImage(images[0], 0, band.bottom - 1, 1, 1, 0, 0, 1, 1);
+        const [r, g, b] = corner.getImageData(0, 0, 1, 1).data;
+
+        return tiles.map(tile => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = tile.height;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+            ctx.fillRect(0, 0, width, tile.height);
+            for (const d of tile.draws) {
+                const x = d.band ? band.left : 0;
+                const w = d.band ? band.right - band.left : width;
+                ctx.drawImage(images[d.frame], x, d.sy, w, d.height, x, d.dy, w, d.height);
+            }
+            return canvas.toDataURL(IMAGE_FORMATS[imageSettings.format].mime, imageSettings.quality / 100);
+        });
     } catch (e) {
         console.error('[BF-Backup] Stitch failed:', e);
         return null;
     }
 }
 
-async function requestScreenshot() {
+function loadImage(dataUrl) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = reject;
+        img.src = dataUrl;
+    });
+}
+
+// Re-encode a (lossless) capture into the selected format; null if the
+// browser can't (toDataURL silently falls back to PNG for unknown types)
+async function encodeImage(dataUrl) {
+    const { mime } = IMAGE_FORMATS[imageSettings.format];
+    try {
+        const img = await loadImage(dataUrl);
+        const canvas = document.createElement('canvas');
+        canvas.width = img.width;
+        canvas.height = img.height;
+        canvas.getContext('2d').drawImage(img, 0, 0);
+        const encoded = canvas.toDataURL(mime, imageSettings.quality / 100);
+        return encoded.startsWith(`data:${mime}`) ? encoded : null;
+    } catch (e) {
+        console.error('[BF-Backup] Image encoding failed:', e);
+        return null;
+    }
+}
+
+// Saves `<baseFileName>.<ext>` in the selected format. If encoding fails the
+// lossless capture is kept as PNG rather than losing the screenshot.
+async function saveImage(folderName, baseFileName, dataUrl) {
+    const { ext, mime } = IMAGE_FORMATS[imageSettings.format];
+    if (dataUrl.startsWith(`data:${mime}`)) {
+        await saveToZip(folderName, `${baseFileName}.${ext}`, dataUrl, true);
+        return;
+    }
+    const encoded = await encodeImage(dataUrl);
+    if (encoded) {
+        await saveToZip(folderName, `${baseFileName}.${ext}`, encoded, true);
+    } else {
+        setStatus(`WARNING: ${imageSettings.format.toUpperCase()} encoding failed for ${baseFileName} – saved as PNG`);
+        await saveToZip(folderName, `${baseFileName}.png`, dataUrl, true);
+    }
+}
+
+async function requestScreenshot(format) {
     // Enforce minimum interval between captures
     const now = Date.now();
     const wait = MIN_CAPTURE_INTERVAL - (now - lastCaptureTime);
@@ -287,7 +481,7 @@ async function requestScreenshot() {
     for (let attempt = 0; attempt < 3; attempt++) {
         const result = await new Promise(resolve => {
             lastCaptureTime = Date.now();
-            chrome.runtime.sendMessage({ action: "captureTab" }, res => {
+            chrome.runtime.sendMessage({ action: "captureTab", format, quality: imageSettings.quality }, res => {
                 if (chrome.runtime.lastError || !res || res.error) {
                     console.warn("[BF-Backup] captureTab attempt", attempt + 1, "failed:",
                         chrome.runtime.lastError?.message || res?.error);
@@ -304,16 +498,49 @@ async function requestScreenshot() {
     return null;
 }
 
-function saveToZip(folderName, fileName, content, isBase64) {
+// True if a resumed run already has this capture (any extension / stitched parts)
+function isAlreadyCaptured(folderName, baseFileName) {
+    const base = `${folderName}/${baseFileName}`;
+    for (const path of resumedFiles) {
+        if (path.startsWith(`${base}.`) || path.startsWith(`${base}_part`)) return true;
+    }
+    return false;
+}
+
+// Tells the service worker a tab is done, so a resume can skip it
+function reportTabComplete(tab) {
     return new Promise(resolve => {
+        chrome.runtime.sendMessage({ action: "tabComplete", tab, firmware: getFirmwareInfoFromPage() }, () => resolve());
+    });
+}
+
+// Values a resumed run must reuse instead of reading them again
+function saveResumeData(key, value) {
+    return new Promise(resolve => {
+        chrome.runtime.sendMessage({ action: "saveResumeData", key, value }, () => resolve());
+    });
+}
+
+// Resolves once the service worker has the file. A worker that restarted
+// mid-run has no backup to add it to: stop the run (the resume state keeps
+// every completed tab) instead of finishing with captures missing.
+async function saveToZip(folderName, fileName, content, isBase64) {
+    const path = `${folderName}/${fileName}`;
+    const res = await new Promise(resolve => {
         chrome.runtime.sendMessage({
             action: "saveFile", folderName, fileName, content, isBase64
-        }, () => resolve());
+        }, r => resolve(chrome.runtime.lastError ? { success: false, error: chrome.runtime.lastError.message } : r));
     });
+    if (!res?.success) {
+        throw new Error(`Could not save ${path} (${res?.error || "no answer from the service worker"}) – backup aborted.`);
+    }
+    if (res.persisted === false) {
+        setStatus(`WARNING: ${path} is in the ZIP but not in the resume state (${res.error}) – a resumed run would lack it.`);
+    }
 }
 
 function getScrollableContainer() {
-    const content = document.querySelector('#content');
+    const content = queryFirst('content');
     if (content && content.scrollHeight > content.clientHeight + 10) return content;
 
     const candidates = Array.from(document.querySelectorAll('div, main, section'))
@@ -358,13 +585,86 @@ const TAB_ENGLISH_NAMES = {
     tab_cli: 'CLI',
 };
 
-async function startBackupProcess(options) {
-    setStatus("Starting backup...");
+// English sub-tab names per tab class: [name, identity words]. A sub-tab is
+// matched by the last word of its stable attributes (i18n key, id, data-tab,
+// classes, link target – never its translated text); if none match and the
+// count fits the table, by position; otherwise it stays SubTabN.
+const SUB_TAB_ENGLISH_NAMES = {
+    tab_pid_tuning: [['PID_Settings', ['pid']], ['Rateprofile_Settings', ['rates', 'rate', 'rateprofile']],
+        ['Filter_Settings', ['filter', 'filters']]],
+    tab_receiver: [['Receiver', ['receiver', 'rx']], ['Channel_Map', ['map', 'channelmap']]],
+    tab_modes: [['Modes', ['modes']], ['Ranges', ['ranges', 'adjustments']]],
+    tab_osd: [['Elements', ['elements']], ['Preview', ['preview']], ['Font_Manager', ['font', 'fonts']]],
+    tab_motors: [['Motors', ['motors']], ['Mixer', ['mixer']], ['ESC', ['esc', 'escs']]],
+    tab_logging: [['Blackbox', ['blackbox', 'logging']], ['Onboard_Flash', ['flash', 'dataflash']],
+        ['SD_Card', ['sdcard', 'sd']]],
+};
+
+function getTabSkipReason(tab, options) {
+    if (BLACKLIST.some(b => tab.cls.includes(b))) return 'blacklisted';
+    if (tab.cls === 'tab_cli' && !options.cli) return 'CLI disabled';
+    if (!options.screenshots && tab.cls !== 'tab_cli') return 'screenshots disabled';
+    // If user selected specific tabs, only include those (CLI is handled above)
+    if (options.selectedTabs && options.selectedTabs.length > 0 && tab.cls !== 'tab_cli') {
+        if (!options.selectedTabs.includes(tab.cls)) return 'not selected';
+    }
+    return null;
+}
+
+// Picks the selector profile for the running configurator (see selectors.js)
+function applySelectorProfile() {
+    const detected = detectSelectorProfile(document);
+    useSelectorProfile(detected.profile);
+    console.log(`[BF-Backup] Selector profile "${detected.profile.id}" ` +
+        `(configurator ${detected.version || 'unknown'}, by ${detected.reason}).`);
+    return { id: detected.profile.id, version: detected.version, reason: detected.reason };
+}
+
+// Firmware/target as shown in the configurator status bar
+// ("Firmware: BTFL 4.5.1 ... Target: SPEEDYBEEF7V3") – used when CLI is off
+function getFirmwareInfoFromPage() {
+    const text = queryFirst('statusBar')?.innerText || '';
+    return {
+        version: text.match(/Firmware:\s*\w+\s+(\d+\.\d+(?:\.\d+)?)/i)?.[1] || null,
+        target: text.match(/Target:\s*([\w-]+)/i)?.[1] || null,
+    };
+}
+
+// `resume`: { completedTabs, files, firmware, data } of an interrupted run
+async function startBackupProcess(options, resume) {
+    setStatus(resume ? "Resuming backup..." : "Starting backup...");
     startKeepalive();
+    setImageSettings(options);
+    resumedFiles = new Set(resume?.files || []);
+    resumeData = resume?.data || {};
+
+    // Progress so far – also sent along with an error for the partial ZIP
+    const capturedTabs = [];
+    const skippedTabs = [];
+    let filteredTabs = [];
+    let currentTab = null;
+    let selectorProfile = null;
+    const backupInfo = () => ({
+        configuratorVersion: selectorProfile?.version ?? null,
+        selectorProfile,
+        firmware: getFirmwareInfoFromPage(),
+        tabs: { captured: capturedTabs, skipped: skippedTabs },
+    });
 
     try {
+    selectorProfile = applySelectorProfile();
+
+    // Never mix the captures of two different craft in one ZIP
+    if (resume?.firmware) {
+        const now = getFirmwareInfoFromPage();
+        const differs = (key) => resume.firmware[key] && now[key] && resume.firmware[key] !== now[key];
+        if (differs('version') || differs('target')) {
+            throw new Error("A different flight controller is connected – start a new backup instead of resuming.");
+        }
+    }
+
     // ── Enable Expert Mode ───────────────────────────────────────────
-    const expertCb = document.querySelector('input[name="expertModeCheckbox"]');
+    const expertCb = queryFirst('expertMode');
     if (expertCb && !expertCb.checked) {
         setStatus("Enabling Expert Mode...");
         const label = expertCb.closest('label') || expertCb.parentElement;
@@ -375,11 +675,12 @@ async function startBackupProcess(options) {
     // ── Discover navigation tabs ─────────────────────────────────────
     let tabEls = [];
     for (let attempt = 0; attempt < 10; attempt++) {
-        tabEls = Array.from(document.querySelectorAll('ul.mode-connected > li > a.tabicon'))
-            .filter(a => {
+        tabEls = queryAllFirst('navTabLinks', {
+            accept: a => {
                 const li = a.closest('li');
                 return li && getComputedStyle(li).display !== 'none' && li.offsetHeight > 0;
-            });
+            },
+        }).elements;
         if (tabEls.length > 0) break;
         setStatus("Waiting for Betaflight UI...");
         await sleep(500);
@@ -397,15 +698,10 @@ async function startBackupProcess(options) {
     });
 
     // Filter tabs based on options and user's tab selection
-    const filteredTabs = tabs.filter(tab => {
-        if (BLACKLIST.some(b => tab.cls.includes(b))) return false;
-        if (tab.cls === 'tab_cli' && !options.cli) return false;
-        if (!options.screenshots && tab.cls !== 'tab_cli') return false;
-        // If user selected specific tabs, only include those (CLI is handled above)
-        if (options.selectedTabs && options.selectedTabs.length > 0 && tab.cls !== 'tab_cli') {
-            if (!options.selectedTabs.includes(tab.cls)) return false;
-        }
-        return true;
+    filteredTabs = tabs.filter(tab => {
+        const reason = getTabSkipReason(tab, options);
+        if (reason) skippedTabs.push({ cls: tab.cls, label: tab.label, reason });
+        return !reason;
     });
 
     const totalTabs = filteredTabs.length;
@@ -416,6 +712,16 @@ async function startBackupProcess(options) {
     for (const tab of filteredTabs) {
         checkAbort();
 
+        // Finished before the interruption – keep its entry and numbering
+        const done = resume?.completedTabs.find(c => c.cls === tab.cls);
+        if (done) {
+            console.log(`[BF-Backup] Resume: ${tab.cls} already captured.`);
+            capturedTabs.push(done);
+            idx++;
+            continue;
+        }
+        currentTab = { cls: tab.cls, label: tab.label };
+
         // Connection check (multiple selectors for different BF versions)
         const connected = isConnected();
         if (connected === false) {
@@ -431,30 +737,54 @@ async function startBackupProcess(options) {
 
         setStatus(`Tab ${idx}/${totalTabs}: ${tab.label}`);
 
-        const link = document.querySelector(`li.${tab.cls} > a.tabicon`);
-        if (!link) { console.warn(`[BF-Backup] Link for ${tab.cls} not found.`); continue; }
+        const link = queryFirst('tabLink', { vars: { tab: tab.cls } });
+        if (!link) {
+            console.warn(`[BF-Backup] Link for ${tab.cls} not found.`);
+            skippedTabs.push({ cls: tab.cls, label: tab.label, reason: 'link not found' });
+            continue;
+        }
+        const tabStart = Date.now();
         link.click();
         await sleep(3500);
 
+        let subTabs = null;
+        let osd = null;
         if (tab.cls === 'tab_cli') {
-            await handleCliTab();
+            await handleCliTab(options);
+        } else if (tab.cls === 'tab_osd') {
+            ({ subTabs, osd } = await handleOsdTab(folder, prefix, tab.label, options));
         } else if (tab.cls === 'tab_pid_tuning') {
             if (options.profiles) {
-                await handlePidTuningTab(folder, prefix);
+                subTabs = await handlePidTuningTab(folder, prefix);
             } else {
-                await captureTabWithSubTabs(folder, prefix, englishName, tab.label);
+                subTabs = await captureTabWithSubTabs(folder, prefix, englishName, tab.label, tab.cls);
             }
         } else {
-            await captureTabWithSubTabs(folder, prefix, englishName, tab.label);
+            subTabs = await captureTabWithSubTabs(folder, prefix, englishName, tab.label, tab.cls);
         }
 
+        capturedTabs.push({
+            cls: tab.cls, name: englishName, label: tab.label, folder,
+            subTabs: subTabs || undefined,
+            osd: osd || undefined,
+            durationMs: Date.now() - tabStart,
+        });
+        await reportTabComplete(capturedTabs[capturedTabs.length - 1]);
         idx++;
     }
 
     setProgress(totalTabs, totalTabs);
     setStatus("Building ZIP...");
-    chrome.runtime.sendMessage({ action: "extractionComplete" });
+    chrome.runtime.sendMessage({ action: "extractionComplete", info: backupInfo() });
 
+    } catch (e) {
+        e.backupInfo = {
+            ...backupInfo(),
+            stoppedAt: currentTab,
+            notCaptured: filteredTabs.filter(t => !capturedTabs.some(c => c.cls === t.cls))
+                .map(t => ({ cls: t.cls, label: t.label })),
+        };
+        throw e;
     } finally {
         stopKeepalive();
     }
@@ -464,39 +794,19 @@ async function startBackupProcess(options) {
 //  Sub-Tab Discovery (robust against Betaflight CSS class changes)
 // ═══════════════════════════════════════════════════════════════════════
 
-const SUB_TAB_SELECTORS = [
-    // Betaflight Web Configurator specific
-    '#content .tab-container .tab',
-    '#content .tab_container .tab',
-    '#content .tab-container > div',
-    '#content .tab_container > div',
-    '.tab-content-header .tab',
-    // Generic patterns
-    '#content [role="tablist"] [role="tab"]',
-    '#content .subtab',
-    '#content .sub-tab',
-    // Broader searches (last resort)
-    '#content .tabs .tab',
-    '#content .tabs > a',
-    '#content .tabs > div',
-    '#content .tabs > button',
-];
-
 function findVisibleSubTabs() {
-    // SAFETY: Only use known CSS selectors for sub-tabs.
+    // SAFETY: Only use the known sub-tab selectors of the selector profiles.
     // Never use heuristics that could click arbitrary UI elements
     // (buttons, presets, toggles, etc.) and change FC state.
-    for (const sel of SUB_TAB_SELECTORS) {
-        const tabs = Array.from(document.querySelectorAll(sel))
-            .filter(el => el.offsetWidth > 0 && el.offsetHeight > 0);
-        if (tabs.length > 1) {
-            console.log(`[BF-Backup] Found ${tabs.length} sub-tabs with "${sel}":`,
-                tabs.map(t => t.innerText.trim()));
-            return tabs;
-        }
+    const { elements: tabs, selector } = queryAllFirst('subTabs', {
+        accept: el => el.offsetWidth > 0 && el.offsetHeight > 0,
+        min: 2,
+    });
+    if (tabs.length > 0) {
+        console.log(`[BF-Backup] Found ${tabs.length} sub-tabs with "${selector}":`,
+            tabs.map(t => t.innerText.trim()));
     }
-
-    return [];
+    return tabs;
 }
 
 // Re-query sub-tabs from the live DOM and click the one at `index`.
@@ -512,25 +822,71 @@ function clickSubTab(index) {
     return false;
 }
 
+// Last word of each stable attribute, lowercased:
+// i18n="pidTuningSubTabRates" → "rates", class="subtab-filter" → "filter"
+function subTabIdentity(el) {
+    const words = new Set();
+    for (const node of [el, ...el.querySelectorAll('[i18n], [data-i18n], a[href]')]) {
+        const values = [node.id, node.getAttribute('i18n'), node.getAttribute('data-i18n'),
+            node.dataset.tab, node.dataset.subtab, node.getAttribute('href')?.split('#')[1], ...node.classList];
+        for (const value of values) {
+            const word = value?.split(/[^A-Za-z0-9]+|(?=[A-Z][a-z])/).filter(Boolean).pop();
+            if (word) words.add(word.toLowerCase());
+        }
+    }
+    return words;
+}
+
+// [{ name, resolvedBy: 'attribute' | 'order' | 'fallback' }] per sub-tab
+function resolveSubTabNames(tabCls, subTabs) {
+    const table = SUB_TAB_ENGLISH_NAMES[tabCls] || [];
+    const byAttribute = subTabs.map(el => {
+        const words = subTabIdentity(el);
+        return table.find(([, keys]) => keys.some(k => words.has(k)))?.[0] || null;
+    });
+    // Position only when nothing matched – mixing both could assign a name twice
+    const byOrder = !byAttribute.some(Boolean) && table.length === subTabs.length;
+
+    const used = new Set();
+    return subTabs.map((el, i) => {
+        let name = byAttribute[i] || (byOrder ? table[i][0] : null);
+        let resolvedBy = byAttribute[i] ? 'attribute' : 'order';
+        if (!name || used.has(name)) {
+            name = `SubTab${i + 1}`;
+            resolvedBy = 'fallback';
+        }
+        used.add(name);
+        return { name, resolvedBy };
+    });
+}
+
 // ═══════════════════════════════════════════════════════════════════════
 //  Sub-Tab Handling
 // ═══════════════════════════════════════════════════════════════════════
 
-async function captureTabWithSubTabs(folder, prefix, englishName, label) {
+// Returns the captured sub-tabs for the manifest, null if the tab has none
+async function captureTabWithSubTabs(folder, prefix, englishName, label, tabCls) {
     const subTabs = findVisibleSubTabs();
 
     if (subTabs.length > 1) {
-        let subIdx = 1;
-        for (const sub of subTabs) {
+        const names = resolveSubTabNames(tabCls, subTabs);
+        const captured = [];
+        for (let i = 0; i < subTabs.length; i++) {
+            const sub = subTabs[i];
+            const baseName = `${prefix}_${String(i + 1).padStart(2, '0')}_${names[i].name}`;
+            captured.push({ index: i + 1, ...names[i], label: sub.innerText.trim(), file: baseName });
+            if (isAlreadyCaptured(folder, baseName)) continue;
             setStatus(`${label} > ${sub.innerText.trim()}...`);
             sub.click();
             await sleep(1000);
-            await captureAndSave(folder, `${prefix}_${String(subIdx).padStart(2, '0')}_SubTab${subIdx}`);
-            subIdx++;
+            await captureAndSave(folder, baseName);
         }
+        return captured;
     } else {
+        if (isAlreadyCaptured(folder, `${prefix}_01_${englishName}`)) return;
         setStatus(`Screenshot: ${label}...`);
         await captureAndSave(folder, `${prefix}_01_${englishName}`);
+        return null;
     }
 }
 
@@ -548,8 +904,11 @@ async function handlePidTuningTab(folder, prefix) {
     const rateSelect = findSelect('rate_profile', 'rate');
 
     if (pidSelect && pidSelect.options.length > 1) {
-        const originalPid = pidSelect.value;
-        const originalRate = rateSelect?.value;
+        // An interrupted run may have left another profile active
+        const originals = resumeData.pidOriginals || { pid: pidSelect.value, rate: rateSelect?.value ?? null };
+        await saveResumeData('pidOriginals', originals);
+        const originalPid = originals.pid;
+        const originalRate = originals.rate;
         const pidCount = pidSelect.options.length;
         const rateCount = rateSelect?.options.length || 0;
         console.log(`[BF-Backup] PID profiles: ${pidCount}, current: ${originalPid}`);
@@ -558,6 +917,7 @@ async function handlePidTuningTab(folder, prefix) {
         // ── 1) PID sub-tab: screenshot per PID profile ──────────────
         for (let p = 0; p < pidCount; p++) {
             checkAbort();
+            if (isAlreadyCaptured(folder, `${prefix}_PID_Profile${p + 1}`)) continue;
             setStatus(`PID Profile ${p + 1}/${pidCount}...`);
             const targetVal = pidSelect.options[p].value;
             console.log(`[BF-Backup] Switching PID profile to "${targetVal}" (option ${p})...`);
@@ -577,6 +937,7 @@ async function handlePidTuningTab(folder, prefix) {
             if (rateSelect && rateCount > 1) {
                 for (let r = 0; r < rateCount; r++) {
                     checkAbort();
+                    if (isAlreadyCaptured(folder, `${prefix}_Rates_Profile${r + 1}`)) continue;
                     setStatus(`Rate Profile ${r + 1}/${rateCount}...`);
                     const targetVal = rateSelect.options[r].value;
                     console.log(`[BF-Backup] Switching Rate profile to "${targetVal}" (option ${r})...`);
@@ -590,7 +951,7 @@ async function handlePidTuningTab(folder, prefix) {
                     await sleep(800);
                     await captureAndSave(folder, `${prefix}_Rates_Profile${r + 1}`);
                 }
-            } else {
+            } else if (!isAlreadyCaptured(folder, `${prefix}_Rates`)) {
                 // Only one rate profile – single screenshot
                 clickSubTab(1);
                 await sleep(800);
@@ -599,7 +960,7 @@ async function handlePidTuningTab(folder, prefix) {
         }
 
         // ── 3) Filter sub-tab: single screenshot (filters are global, not per profile)
-        if (subTabCount > 2) {
+        if (subTabCount > 2 && !isAlreadyCaptured(folder, `${prefix}_Filter`)) {
             setStatus(`Filter settings...`);
             clickSubTab(2);
             await sleep(800);
@@ -616,7 +977,119 @@ async function handlePidTuningTab(folder, prefix) {
         await sleep(1000);
     } else {
         // No profile dropdowns found – just capture sub-tabs normally
-        await captureTabWithSubTabs(folder, prefix, 'PID_Tuning', 'PID Tuning');
+        return captureTabWithSubTabs(folder, prefix, 'PID_Tuning', 'PID Tuning', 'tab_pid_tuning');
+    }
+    return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+//  OSD Tab – every OSD profile preview + timers / warnings / stats
+// ═══════════════════════════════════════════════════════════════════════
+
+// [selector key, file suffix] – sections captured on their own
+const OSD_SECTIONS = [['osdTimers', 'Timers'], ['osdWarnings', 'Warnings'], ['osdStats', 'Stats']];
+
+async function handleOsdTab(folder, prefix, label, options) {
+    // Re-query every time – the preview re-renders on profile changes
+    const findProfileSelect = () => queryFirst('osdProfileSelect');
+    const profileSelect = findProfileSelect();
+    let subTabs = null;
+
+    if (options.profiles && profileSelect && profileSelect.options.length > 1) {
+        // Only the preview changes (read-only); still put the original back.
+        // An interrupted run may have left another profile selected.
+        const original = resumeData.osdProfileOriginal ?? profileSelect.value;
+        await saveResumeData('osdProfileOriginal', original);
+        const count = profileSelect.options.length;
+        console.log(`[BF-Backup] OSD profiles: ${count}, current: ${original}`);
+
+        for (let p = 0; p < count; p++) {
+            checkAbort();
+            if (isAlreadyCaptured(folder, `${prefix}_OSD_Profile${p + 1}`)) continue;
+            setStatus(`OSD Profile ${p + 1}/${count}...`);
+            const select = findProfileSelect();
+            await setSelectValueVerified(select, select.options[p].value);
+            await sleep(1500);
+            await captureAndSave(folder, `${prefix}_OSD_Profile${p + 1}`);
+        }
+
+        setStatus("Restoring OSD preview profile...");
+        await setSelectValueVerified(findProfileSelect(), original);
+        await sleep(1000);
+
+        // Sub-tabs besides the profile previews (the page itself is captured)
+        if (findVisibleSubTabs().length > 1) {
+            subTabs = await captureTabWithSubTabs(folder, prefix, 'OSD', label, 'tab_osd');
+        }
+    } else {
+        subTabs = await captureTabWithSubTabs(folder, prefix, 'OSD', label, 'tab_osd');
+    }
+    // Read with the original preview profile back in place
+    const osd = readOsdTabState();
+
+    for (const [key, name] of OSD_SECTIONS) {
+        checkAbort();
+        const section = queryFirst(key, { accept: el => el.offsetHeight > 0 });
+        if (!section || isAlreadyCaptured(folder, `${prefix}_OSD_${name}`)) continue;
+        setStatus(`OSD ${name.toLowerCase()}...`);
+        await captureElement(section, folder, `${prefix}_OSD_${name}`);
+    }
+    return { subTabs, osd };
+}
+
+// The OSD tab's element list (checked OSD profiles per element) and profile
+// selects as shown – written to OSD/layout.json next to the dump's positions
+function readOsdTabState() {
+    const profileIndex = (select) => (select && select.selectedIndex >= 0 ? select.selectedIndex + 1 : null);
+    const previewSelect = queryFirst('osdProfileSelect');
+    const elements = queryAllFirst('osdElementFields').elements.map(field => {
+        const toggles = queryAllFirst('osdFieldToggles', { root: field }).elements;
+        return {
+            name: toggles[0]?.name || field.id || '',
+            label: queryFirst('osdFieldLabel', { root: field })?.textContent.trim() || '',
+            profiles: toggles.map((t, i) => (t.checked ? i + 1 : 0)).filter(Boolean),
+        };
+    }).filter(e => e.name || e.label);
+    return {
+        profileCount: previewSelect?.options.length || null,
+        previewProfile: profileIndex(previewSelect),
+        activeProfile: profileIndex(queryFirst('osdActiveProfileSelect')),
+        elements,
+    };
+}
+
+// Screenshot cropped to one element. Elements taller than the viewport are
+// cut at its bottom edge; if cropping fails the whole view is kept.
+async function captureElement(el, folderName, baseFileName) {
+    el.scrollIntoView({ block: 'start' });
+    await sleep(500);
+    const dataUrl = await requestScreenshot(imageSettings.format === 'jpeg' ? 'jpeg' : 'png');
+    if (!dataUrl) {
+        setStatus(`WARNING: Screenshot failed for ${baseFileName}`);
+        return;
+    }
+    const cropped = await cropToRect(dataUrl, el.getBoundingClientRect());
+    await saveImage(folderName, baseFileName, cropped || dataUrl);
+}
+
+async function cropToRect(dataUrl, rect) {
+    try {
+        const img = await loadImage(dataUrl);
+        const scale = img.width / window.innerWidth;
+        const x = Math.round(Math.max(0, rect.left) * scale);
+        const y = Math.round(Math.max(0, rect.top) * scale);
+        const w = Math.min(img.width, Math.round(Math.min(window.innerWidth, rect.right) * scale)) - x;
+        const h = Math.min(img.height, Math.round(Math.min(window.innerHeight, rect.bottom) * scale)) - y;
+        if (w < 1 || h < 1) return null;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = w;
+        canvas.height = h;
+        canvas.getContext('2d').drawImage(img, x, y, w, h, 0, 0, w, h);
+        return canvas.toDataURL(IMAGE_FORMATS[imageSettings.format].mime, imageSettings.quality / 100);
+    } catch (e) {
+        console.error('[BF-Backup] Crop failed:', e);
+        return null;
     }
 }
 
@@ -626,7 +1099,7 @@ async function handlePidTuningTab(folder, prefix) {
 
 function findSelect(name, keyword) {
     // Dump all selects on the page for diagnostics (first call only)
-    const allSelects = Array.from(document.querySelectorAll('#content select'));
+    const allSelects = queryAllFirst('contentSelects').elements;
     console.log(`[BF-Backup] findSelect("${name}", "${keyword}") – ${allSelects.length} selects on page:`,
         allSelects.map(s => ({
             name: s.name, id: s.id, cls: s.className,
@@ -635,37 +1108,16 @@ function findSelect(name, keyword) {
         })));
 
     // 1. Try exact name match
-    let sel = document.querySelector(`#content select[name="${name}"]`);
+    let sel = queryFirst('namedSelect', { vars: { name } });
     if (sel) { console.log(`[BF-Backup] → found by name="${name}"`); return sel; }
 
-    // 2. Try common Betaflight-specific IDs and names
-    const specificSelectors = keyword === 'pid' ? [
-        'select[name="profile"]',
-        'select#pid_profile',
-        'select#pidProfile',
-        'select#pid-profile',
-        'select[name="pid_profile"]',
-        'select[name="pidProfile"]',
-        'select.pid_profile',
-        'select.pid-profile',
-        'select.pidprofile',
-    ] : [
-        'select[name="rate_profile"]',
-        'select[name="rateProfile"]',
-        'select#rate_profile',
-        'select#rateProfile',
-        'select#rate-profile',
-        'select.rate_profile',
-        'select.rate-profile',
-        'select.rateprofile',
-    ];
-    for (const s of specificSelectors) {
-        sel = document.querySelector(`#content ${s}`);
-        if (sel) { console.log(`[BF-Backup] → found by specific selector "${s}"`); return sel; }
-    }
+    // 2. Try the profile selects known to the selector profiles
+    const content = queryFirst('content');
+    sel = queryFirst(keyword === 'pid' ? 'pidProfileSelect' : 'rateProfileSelect', { accept: s => !!content?.contains(s) });
+    if (sel) { console.log(`[BF-Backup] → found by profile select selectors`); return sel; }
 
     // 3. Try data-attribute match
-    sel = document.querySelector(`#content select[data-setting*="${keyword}" i]`);
+    sel = queryFirst('settingSelect', { vars: { keyword } });
     if (sel) { console.log(`[BF-Backup] → found by data-setting`); return sel; }
 
     // 4. Fuzzy search by any attribute containing keyword
@@ -678,7 +1130,7 @@ function findSelect(name, keyword) {
     if (sel) { console.log(`[BF-Backup] → found by fuzzy attribute match`); return sel; }
 
     // 5. Search by associated label or nearby text
-    const labels = Array.from(document.querySelectorAll('#content label, #content span, #content div'));
+    const labels = queryAllFirst('selectLabels').elements;
     for (const label of labels) {
         const text = label.textContent?.toLowerCase() || '';
         if (!text.includes(keyword) && !text.includes(name.replace('_', ' '))) continue;
@@ -728,7 +1180,13 @@ function findSelect(name, keyword) {
 function getSelectSelector(select) {
     // Build a unique CSS selector for the select element
     if (select.id) return `#${select.id}`;
-    if (select.name) return `#content select[name="${select.name}"]`;
+    if (select.name) return selectorChain('namedSelect', { name: select.name })[0];
+    // Unique class (e.g. the OSD tab's select.osdprofile-selector)
+    for (const cls of select.classList) {
+        if (!/^[\w-]+$/.test(cls)) continue;
+        const { elements, selector } = queryAllFirst('classSelect', { vars: { cls } });
+        if (elements.length === 1) return selector;
+    }
     // Fallback: use nth-of-type
     const parent = select.parentElement;
     if (parent) {
@@ -798,7 +1256,27 @@ async function setSelectValueVerified(select, value, retries = 3) {
 //  CLI Tab Handler
 // ═══════════════════════════════════════════════════════════════════════
 
-async function handleCliTab() {
+// User's command list (popup), falling back to the preset's enabled commands.
+// Anything that could write to the FC is dropped here as a last line of defense.
+// The preset only stands in when no list was passed at all; an empty list
+// is refused before the start (popup and keyboard shortcut alike)
+function getCliCommands(options) {
+    const list = Array.isArray(options.cliCommands)
+        ? options.cliCommands
+        : CLI_COMMAND_PRESET.filter(c => c.on);
+
+    const commands = [];
+    for (const { cmd, timeout } of list) {
+        if (!isReadOnlyCliCommand(cmd)) {
+            setStatus(`WARNING: CLI command '${cmd}' is not read-only – skipping.`);
+            continue;
+        }
+        commands.push({ cmd: cmd.trim(), file: cliCommandFileName(cmd), timeout: timeout || 15000 });
+    }
+    return commands;
+}
+
+async function handleCliTab(options) {
     setStatus("Extracting CLI configuration...");
     await sleep(3000); // CLI needs extra time to initialize terminal
 
@@ -812,13 +1290,11 @@ async function handleCliTab() {
     const diag = await cliDiagnostics();
     console.log("[BF-Backup] CLI diagnostics:", JSON.stringify(diag, null, 2));
 
-    const commands = [
-        { cmd: "diff all",  file: "diff_all.txt", timeout: 30000 },
-        { cmd: "dump all",  file: "dump_all.txt", timeout: 45000 },
-    ];
+    const commands = getCliCommands(options);
 
     for (const { cmd, file, timeout } of commands) {
         checkAbort();
+        if (resumedFiles.has(`CLI/${file}`)) continue;
 
         // Check connection before each CLI command
         const stillConnected = isConnected();
@@ -838,7 +1314,7 @@ async function handleCliTab() {
         }
 
         setStatus(`Waiting for '${cmd}' response...`);
-        await cliWaitForStableOutput(timeout);
+        const { text, complete } = await cliPollUntil(t => frameCliOutput(t, cmd).complete, timeout);
 
         // Check connection after waiting for output
         const connAfter = isConnected();
@@ -847,7 +1323,11 @@ async function handleCliTab() {
             throw new Error("Connection lost during CLI extraction – backup aborted.");
         }
 
-        const output = await cliRead();
+        let { output } = frameCliOutput(text, cmd);
+        if (!complete && output.trim()) {
+            setStatus(`WARNING: '${cmd}' output is TRUNCATED (no CLI prompt after ${timeout / 1000}s).`);
+            output = `# WARNING: output truncated – no CLI prompt after ${timeout / 1000}s\n${output}`;
+        }
         if (output && output.trim().length > 10) {
             await saveToZip("CLI", file, output, false);
             setStatus(`'${cmd}' saved (${(output.length / 1024).toFixed(1)} KB).`);
@@ -860,11 +1340,128 @@ async function handleCliTab() {
     }
 }
 
+// ═══════════════════════════════════════════════════════════════════════
+//  Restore – replays a saved diff all into the CLI, then verifies it
+// ═══════════════════════════════════════════════════════════════════════
+
+const RESTORE_CHUNK_SIZE = 20;     // commands sent before checking for errors
+const RESTORE_LINE_DELAY = 60;     // ms between commands (FC parses line by line)
+const RESTORE_RECONNECT_MS = 120000;
+
+async function openCliTab() {
+    const link = queryFirst('tabLink', { vars: { tab: 'tab_cli' } });
+    if (!link) throw new Error("CLI tab not found – is the drone connected?");
+    link.click();
+    await sleep(3500);
+    await sleep(3000); // CLI needs extra time to initialize terminal
+}
+
+async function waitForCondition(fn, maxMs) {
+    const start = Date.now();
+    while (Date.now() - start < maxMs) {
+        checkAbort();
+        if (fn()) return true;
+        await sleep(1000);
+    }
+    return false;
+}
+
+// Sends the commands chunk by chunk and stops at the first chunk the CLI
+// rejects. Until `save` everything sent lives only in RAM, so on any failure
+// (rejected command, no prompt, Stop) the CLI is left with `exit`: the FC
+// reboots and drops it instead of staying half-configured in CLI mode. The
+// error carries the commands that were sent (`sentCommands`).
+async function replayRestoreCommands(commands) {
+    const sent = [];
+    try {
+        await cliClear();
+        for (let i = 0; i < commands.length; i += RESTORE_CHUNK_SIZE) {
+            const chunk = commands.slice(i, i + RESTORE_CHUNK_SIZE);
+            for (const cmd of chunk) {
+                checkAbort();
+                if (!await cliSend(cmd)) throw new Error(`Could not send '${cmd}'.`);
+                sent.push(cmd);
+                await sleep(RESTORE_LINE_DELAY);
+            }
+            const { text, complete } = await cliPollUntil(endsWithCliPrompt, 15000);
+            if (!complete) throw new Error("CLI stopped responding.");
+
+            const errors = findCliErrors(text);
+            if (errors.length > 0) {
+                throw new Error(`CLI rejected ${errors.length} command(s) in commands ${i + 1}–${i + chunk.length}: ` +
+                    errors.slice(0, 3).join(' | '));
+            }
+            await cliClear();
+
+            setProgress(sent.length, commands.length);
+            setStatus(`Restore: ${sent.length}/${commands.length} commands applied...`);
+        }
+    } catch (e) {
+        let outcome = "nothing was sent";
+        if (sent.length > 0) {
+            outcome = `the ${sent.length} of ${commands.length} commands sent were discarded with 'exit' ` +
+                `(flight controller reboots, nothing saved)`;
+            if (!await cliSend("exit")) {
+                outcome = `'exit' could not be sent – power-cycle the flight controller to discard ` +
+                    `the ${sent.length} unsaved commands`;
+            }
+        }
+        const error = new Error(`Restore aborted, configuration NOT saved: ${e.message} – ${outcome}.`);
+        error.sentCommands = sent;
+        throw error;
+    }
+}
+
+async function startRestoreProcess(commands) {
+    if (commands.length === 0) throw new Error("Nothing to restore – the backup has no CLI commands.");
+    startKeepalive();
+
+    try {
+        applySelectorProfile();
+        setProgress(0, commands.length);
+        setStatus("Restore: opening CLI...");
+        await openCliTab();
+        if (isConnected() === false) throw new Error("Not connected – restore aborted.");
+
+        // ── 1) Replay commands in chunks, checking output after each ────
+        await replayRestoreCommands(commands);
+
+        // ── 2) Save – the flight controller reboots and disconnects ─────
+        checkAbort();
+        setStatus("Restore: saving – flight controller reboots...");
+        await cliSend("save");
+        await sleep(5000);
+
+        // ── 3) Wait for the reboot to disconnect, then for the reconnect ─
+        setStatus("Restore: waiting for reconnect (reconnect manually if needed)...");
+        const cliAvailable = () =>
+            !!queryFirst('tabLink', { vars: { tab: 'tab_cli' } })?.offsetHeight && isConnected() !== false;
+        await waitForCondition(() => !cliAvailable(), 15000); // a very fast reconnect may be missed – fine
+        if (!await waitForCondition(cliAvailable, RESTORE_RECONNECT_MS)) {
+            throw new Error("Configuration saved, but the configurator did not reconnect – verification skipped.");
+        }
+        await sleep(2000);
+
+        // ── 4) Re-read diff all so the background can verify ───────────
+        setStatus("Restore: verifying with 'diff all'...");
+        await openCliTab();
+        await cliClear();
+        await sleep(500);
+        if (!await cliSend("diff all")) throw new Error("Configuration saved, but 'diff all' could not be sent for verification.");
+        const verify = await cliPollUntil(t => frameCliOutput(t, "diff all").complete, 45000);
+        if (!verify.complete) throw new Error("Configuration saved, but the verification 'diff all' was truncated.");
+
+        chrome.runtime.sendMessage({ action: "restoreComplete", actual: frameCliOutput(verify.text, "diff all").output });
+    } finally {
+        stopKeepalive();
+    }
+}
+
 // ── CLI: Diagnostics ─────────────────────────────────────────────────
 async function cliDiagnostics() {
     return new Promise(resolve => {
         chrome.runtime.sendMessage(
-            { action: "cliExecute", operation: "debug" },
+            { action: "cliExecute", operation: "debug", terminalSelectors: selectorChain('cliTerminal') },
             res => resolve(chrome.runtime.lastError ? { error: chrome.runtime.lastError.message } : res)
         );
     });
@@ -875,7 +1472,7 @@ async function cliSend(cmd) {
     // Method 1: chrome.scripting bridge (xterm terminal API)
     const bridgeResult = await new Promise(resolve => {
         chrome.runtime.sendMessage(
-            { action: "cliExecute", operation: "send", command: cmd },
+            { action: "cliExecute", operation: "send", command: cmd, terminalSelectors: selectorChain('cliTerminal') },
             res => {
                 if (chrome.runtime.lastError) {
                     console.warn("[BF-Backup] CLI bridge error:", chrome.runtime.lastError.message);
@@ -893,10 +1490,7 @@ async function cliSend(cmd) {
     console.log("[BF-Backup] CLI bridge returned:", bridgeResult);
 
     // Method 2: Keyboard simulation on xterm helper textarea
-    const xtermTA = document.querySelector('.xterm-helper-textarea')
-        || document.querySelector('textarea[aria-label]')
-        || document.querySelector('.xterm textarea')
-        || document.querySelector('.terminal textarea');
+    const xtermTA = queryFirst('cliKeyboardTarget');
     if (xtermTA) {
         console.log("[BF-Backup] CLI: xterm keyboard simulation on", xtermTA.className);
         xtermTA.focus();
@@ -952,20 +1546,8 @@ async function cliSend(cmd) {
 }
 
 function findCliInput() {
-    // Search specifically within the CLI content area
-    const selectors = [
-        '#content input.cliInput',
-        '#content input[placeholder*="command" i]',
-        '#content input[placeholder*="befehl" i]',
-        '#content input[placeholder*="cli" i]',
-        '#content input[type="text"]',
-        '#content textarea:not(.xterm-helper-textarea)',
-    ];
-    for (const sel of selectors) {
-        const el = document.querySelector(sel);
-        if (el && el.offsetWidth > 0) return el;
-    }
-    return null;
+    // Searches specifically within the CLI content area
+    return queryFirst('cliInput', { accept: el => el.offsetWidth > 0 });
 }
 
 // ── CLI: Read terminal buffer ────────────────────────────────────────
@@ -973,69 +1555,168 @@ async function cliRead() {
     // Method 1: chrome.scripting bridge
     const text = await new Promise(resolve => {
         chrome.runtime.sendMessage(
-            { action: "cliExecute", operation: "read" },
+            { action: "cliExecute", operation: "read", terminalSelectors: selectorChain('cliTerminal') },
             res => resolve(chrome.runtime.lastError ? '' : (res || ''))
         );
     });
     if (typeof text === 'string' && text.length > 0) return text;
 
     // Method 2: DOM text extraction
-    const selectors = [
-        '#content .window .wrapper',
-        '#content .terminal-output',
-        '#content pre',
-        '.tab_cli .window .wrapper',
-        '.window .wrapper'
-    ];
-    for (const sel of selectors) {
-        const el = document.querySelector(sel);
-        if (el && el.innerText.trim().length > 0) return el.innerText;
-    }
-    return '';
+    const el = queryFirst('cliOutput', { accept: e => e.innerText.trim().length > 0 });
+    return el ? el.innerText : '';
 }
 
 // ── CLI: Clear terminal ──────────────────────────────────────────────
 async function cliClear() {
-    const clearBtn = document.querySelector('#content a.clear')
-        || document.querySelector('#content button.clear')
-        || Array.from(document.querySelectorAll('#content a, #content button'))
-            .find(el => el.classList.contains('clear'));
+    const clearBtn = queryFirst('cliClear');
     if (clearBtn) { clearBtn.click(); await sleep(400); return; }
 
     await new Promise(resolve => {
         chrome.runtime.sendMessage(
-            { action: "cliExecute", operation: "clear" },
+            { action: "cliExecute", operation: "clear", terminalSelectors: selectorChain('cliTerminal') },
             () => resolve()
         );
     });
 }
 
-// ── CLI: Wait until output stops growing ─────────────────────────────
-async function cliWaitForStableOutput(maxMs) {
-    let lastLen = 0;
-    let stable = 0;
+// ── CLI: Poll until the output is complete ───────────────────────────
+// `isComplete` inspects the buffer (see frameCliOutput). The buffer must also
+// be unchanged between two polls, so a prompt-like line in the middle of a
+// still-streaming dump can't end the wait early.
+const CLI_POLL_INTERVAL = 500;
+
+async function cliPollUntil(isComplete, maxMs) {
     const start = Date.now();
+    let last = null;
 
     while (Date.now() - start < maxMs) {
         checkAbort(); // allow stop button to work during CLI wait
-        await sleep(1000);
+        await sleep(CLI_POLL_INTERVAL);
         checkAbort();
 
-        const out = await cliRead();
-        const len = out ? out.length : 0;
-
-        if (len > lastLen) {
-            lastLen = len;
-            stable = 0;
-        } else if (len > 0) {
-            stable++;
-            if (stable >= 2) {
-                console.log(`[BF-Backup] CLI output stable after ${Date.now() - start}ms`);
-                return;
-            }
+        const text = await cliRead();
+        if (text === last && isComplete(text)) {
+            console.log(`[BF-Backup] CLI output complete after ${Date.now() - start}ms`);
+            return { text, complete: true };
         }
+        last = text;
+    }
+    console.warn(`[BF-Backup] CLI wait timed out after ${maxMs}ms`);
+    return { text: last ?? await cliRead(), complete: false };
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+//  Diagnostics – read-only self-check for bug reports
+//  Runs every probe the backup depends on against the page as it is now.
+//  Never clicks or changes anything, so it is safe during a failed run.
+// ═══════════════════════════════════════════════════════════════════════
+
+function describeElement(el) {
+    if (!el) return null;
+    return {
+        tag: el.tagName.toLowerCase(),
+        id: el.id || undefined,
+        cls: (typeof el.className === 'string' ? el.className : '') || undefined,
+        visible: el.offsetWidth > 0 && el.offsetHeight > 0,
+    };
+}
+
+function describeSelect(select) {
+    if (!select) return null;
+    return {
+        ...describeElement(select),
+        name: select.name || undefined,
+        value: select.value,
+        options: Array.from(select.options).map(o => o.textContent.trim()),
+    };
+}
+
+// One failing probe must not hide the results of the others
+async function runProbe(fn) {
+    try {
+        return await fn();
+    } catch (e) {
+        return { error: e.toString() };
     }
-    console.log(`[BF-Backup] CLI wait timed out after ${maxMs}ms`);
+}
+
+async function probeCapture() {
+    const start = Date.now();
+    const res = await new Promise(resolve => {
+        chrome.runtime.sendMessage({ action: "captureTab" }, r =>
+            resolve(chrome.runtime.lastError ? { error: chrome.runtime.lastError.message } : (r || { error: 'no response' })));
+    });
+    return res.dataUrl
+        ? { ok: true, bytes: res.dataUrl.length, ms: Date.now() - start }
+        : { ok: false, error: res.error, ms: Date.now() - start };
+}
+
+async function collectDiagnostics() {
+    const selectorProfile = applySelectorProfile();
+    const report = {
+        url: location.href,
+        userAgent: navigator.userAgent,
+        viewport: { width: window.innerWidth, height: window.innerHeight, devicePixelRatio: window.devicePixelRatio },
+        backupRunning,
+        selectorProfile,
+        firmware: getFirmwareInfoFromPage(),
+    };
+
+    report.connection = await runProbe(() => ({
+        state: isConnected(),
+        connectButton: describeElement(queryFirst('connectButton')),
+        indicator: describeElement(queryFirst('connectedIndicator')),
+    }));
+
+    report.expertMode = await runProbe(() => {
+        const cb = queryFirst('expertMode');
+        return { found: !!cb, checked: cb ? cb.checked : null };
+    });
+
+    report.navigation = await runProbe(() => {
+        const { elements, selector } = queryAllFirst('navTabLinks');
+        return {
+            selector,
+            tabs: elements.map(a => {
+                const li = a.closest('li');
+                return {
+                    cls: li?.className.split(' ').find(c => c.startsWith('tab_')) || '',
+                    label: a.innerText.trim(),
+                    visible: !!li && getComputedStyle(li).display !== 'none' && li.offsetHeight > 0,
+                    active: !!li?.classList.contains('active'),
+                };
+            }),
+        };
+    });
+
+    // Sub-tabs and profile selects only exist in the open tab
+    report.subTabs = await runProbe(() => {
+        const { elements, selector } = queryAllFirst('subTabs', {
+            accept: el => el.offsetWidth > 0 && el.offsetHeight > 0,
+            min: 2,
+        });
+        return { selector, names: elements.map(t => t.innerText.trim()) };
+    });
+    report.profileSelects = await runProbe(() => ({
+        pid: describeSelect(findSelect('profile', 'pid')),
+        rate: describeSelect(findSelect('rate_profile', 'rate')),
+        note: 'Only found while the PID Tuning tab is open.',
+    }));
+
+    report.scrollContainer = await runProbe(() => {
+        const el = getScrollableContainer();
+        return { ...describeElement(el), scrollHeight: el.scrollHeight, clientHeight: el.clientHeight };
+    });
+
+    report.cli = await runProbe(async () => ({
+        terminal: await cliDiagnostics(),
+        keyboardTarget: describeElement(queryFirst('cliKeyboardTarget')),
+        input: describeElement(findCliInput()),
+        note: 'The terminal is only found while the CLI tab is open.',
+    }));
+
+    report.capture = await runProbe(probeCapture);
+    return report;
 }
 
 } // end of double-injection guard
@@ -0,0 +1,567 @@
+// ============================================================================
+// Betaflight Backup Extension – CLI Exporters
+// Readable files generated from the parsed `dump all` (see cli_parser.js).
+// Each exporter takes a config model and returns file contents, or null when
+// the dump doesn't contain what it needs.
+// ============================================================================
+
+var PROFILE_AXES = ['roll', 'pitch', 'yaw'];
+
+function capitalize(str) {
+    return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+// [label, candidate setting names] – the first name present wins, so rows
+// survive renames between firmware versions (d_min_* → d_max_* in 4.6)
+var PID_PROFILE_ROWS = [
+    ['Profile name', ['profile_name']],
+    ...PROFILE_AXES.flatMap(axis => [
+        [`P ${capitalize(axis)}`, [`p_${axis}`]],
+        [`I ${capitalize(axis)}`, [`i_${axis}`]],
+        [`D ${capitalize(axis)}`, [`d_${axis}`]],
+        [`F ${capitalize(axis)}`, [`f_${axis}`]],
+        [`D-min ${capitalize(axis)}`, [`d_min_${axis}`, `d_max_${axis}`]],
+    ]),
+    ['TPA rate', ['tpa_rate']],
+    ['TPA breakpoint', ['tpa_breakpoint']],
+    ['TPA mode', ['tpa_mode']],
+    ['Anti-gravity gain', ['anti_gravity_gain']],
+    ['Anti-gravity cutoff', ['anti_gravity_cutoff_hz']],
+    ['I-term relax', ['iterm_relax']],
+    ['I-term relax cutoff', ['iterm_relax_cutoff']],
+    ['Feedforward transition', ['feedforward_transition']],
+    ['Feedforward boost', ['feedforward_boost']],
+    ['Thrust linear', ['thrust_linear']],
+    ['Dynamic idle', ['dyn_idle_min_rpm']],
+    ['Motor output limit', ['motor_output_limit']],
+];
+
+var RATE_PROFILE_ROWS = [
+    ['Profile name', ['rateprofile_name']],
+    ['Rates type', ['rates_type']],
+    ...PROFILE_AXES.flatMap(axis => [
+        [`RC rate ${capitalize(axis)}`, [`${axis}_rc_rate`]],
+        [`Super rate ${capitalize(axis)}`, [`${axis}_srate`]],
+        [`Expo ${capitalize(axis)}`, [`${axis}_expo`]],
+        [`Rate limit ${capitalize(axis)}`, [`${axis}_rate_limit`]],
+    ]),
+    ['Throttle mid', ['thr_mid']],
+    ['Throttle expo', ['thr_expo']],
+    ['Throttle limit type', ['throttle_limit_type']],
+    ['Throttle limit %', ['throttle_limit_percent']],
+];
+
+// One table: rows = settings, columns = profiles (sorted by index)
+function buildProfileTable(profiles, rowDefs, active) {
+    const ids = Object.keys(profiles)
+        .filter(id => Object.keys(profiles[id]).length > 0)
+        .sort((a, b) => Number(a) - Number(b));
+    if (ids.length === 0) return null;
+
+    const columns = ids.map(id => `Profile ${Number(id) + 1}${id === active ? ' (active)' : ''}`);
+    const rows = [];
+    for (const [label, keys] of rowDefs) {
+        const values = ids.map(id => {
+            const key = keys.find(k => profiles[id][k] !== undefined);
+            return key ? profiles[id][key] : '';
+        });
+        if (values.some(v => v !== '')) rows.push([label, ...values]);
+    }
+    return { ids, columns, rows };
+}
+
+function markdownTable(header, rows) {
+    const esc = (v) => String(v).replace(/\|/g, '\\|');
+    return [
+        `| ${header.map(esc).join(' | ')} |`,
+        `|${header.map(() => '---').join('|')}|`,
+        ...rows.map(r => `| ${r.map(esc).join(' | ')} |`),
+    ].join('\n');
+}
+
+function csvCell(value) {
+    const str = String(value ?? '');
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function csvLines(rows) {
+    return rows.map(r => r.map(csvCell).join(',')).join('\n');
+}
+
+// PID_Tuning/profiles.md + profiles.csv
+function buildProfilesExport(model) {
+    const pid = buildProfileTable(model.profiles, PID_PROFILE_ROWS, model.activeProfile);
+    const rates = buildProfileTable(model.rateprofiles, RATE_PROFILE_ROWS, model.activeRateProfile);
+    if (!pid && !rates) return null;
+
+    const md = ['# PID & Rate Profiles', ''];
+    const craft = [model.craftName, model.boardName,
+        model.header.version && `${model.header.firmware} ${model.header.version}`].filter(Boolean);
+    if (craft.length) md.push(craft.join(' · '), '');
+    if (pid) md.push('## PID Profiles', '', markdownTable(['Setting', ...pid.columns], pid.rows), '');
+    if (rates) md.push('## Rate Profiles', '', markdownTable(['Setting', ...rates.columns], rates.rows), '');
+
+    const width = Math.max(pid?.ids.length || 0, rates?.ids.length || 0);
+    const csv = [['section', 'setting', ...Array.from({ length: width }, (_, i) => `profile_${i + 1}`)]];
+    if (pid) pid.rows.forEach(r => csv.push(['pid', ...r]));
+    if (rates) rates.rows.forEach(r => csv.push(['rates', ...r]));
+
+    return { md: md.join('\n'), csv: csvLines(csv) + '\n' };
+}
+
+// ── OSD layout ──────────────────────────────────────────────────────────
+
+// Character grids of the OSD canvas per video system
+var OSD_GRIDS = {
+    PAL: { cols: 30, rows: 16 },
+    NTSC: { cols: 30, rows: 13 },
+    HD: { cols: 53, rows: 20 },
+};
+var OSD_PROFILE_COUNT = 3;
+
+// osd_*_pos value: x in bits 0-4 (+32 when bit 10 is set, for HD canvases),
+// y in bits 5-9, visibility per OSD profile in bits 11-13, variant in 14-15
+function decodeOsdPosition(value) {
+    const pos = Number(value);
+    const profiles = [];
+    for (let p = 1; p <= OSD_PROFILE_COUNT; p++) {
+        if (pos & (1 << (10 + p))) profiles.push(p);
+    }
+    return {
+        x: (pos & 0x1F) | (pos & 0x400 ? 0x20 : 0),
+        y: (pos >> 5) & 0x1F,
+        profiles,
+        variant: (pos >> 14) & 0x3,
+    };
+}
+
+// Grid named by vcd_video_system; AUTO/unknown is PAL unless elements sit
+// beyond it (HD positions)
+function pickOsdGrid(videoSystem, elements) {
+    let name = OSD_GRIDS[videoSystem] ? videoSystem : 'PAL';
+    const fits = (g) => elements.every(e => e.x < g.cols && e.y < g.rows);
+    if (!fits(OSD_GRIDS[name])) name = 'HD';
+    return { name, ...OSD_GRIDS[name] };
+}
+
+function xmlEscape(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Element names on the character grid of one OSD profile
+function buildOsdPreviewSvg(layout, profile) {
+    const cell = { w: 12, h: 18 };
+    const { cols, rows, name: gridName } = layout.grid;
+    const width = cols * cell.w;
+    const height = rows * cell.h;
+    const title = `OSD profile ${profile}${layout.profiles[profile - 1].name ? ` – ${layout.profiles[profile - 1].name}` : ''} (${gridName} ${cols}×${rows})`;
+
+    const lines = [];
+    for (let c = 1; c < cols; c++) lines.push(`<line x1="${c * cell.w}" y1="0" x2="${c * cell.w}" y2="${height}"/>`);
+    for (let r = 1; r < rows; r++) lines.push(`<line x1="0" y1="${r * cell.h}" x2="${width}" y2="${r * cell.h}"/>`);
+
+    const elements = layout.elements
+        .filter(e => e.profiles.includes(profile))
+        .map(e => `<g><title>${xmlEscape(`${e.name} (${e.x}, ${e.y})`)}</title>` +
+            `<rect x="${e.x * cell.w}" y="${e.y * cell.h}" width="${cell.w}" height="${cell.h}"/>` +
+            `<text x="${e.x * cell.w + 2}" y="${e.y * cell.h + 13}">${xmlEscape(e.name.toUpperCase())}</text></g>`);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height + 24}" viewBox="0 -24 ${width} ${height + 24}">
+<style>
+    .grid line { stroke: #2a2a3a; stroke-width: 1; }
+    rect { fill: rgba(255, 171, 64, 0.35); stroke: #ffab40; }
+    text { fill: #fff; font: 10px monospace; }
+    .title { fill: #ffab40; font: 12px sans-serif; }
+</style>
+<rect x="0" y="-24" width="${width}" height="${height + 24}" style="fill: #0f0f1a; stroke: none"/>
+<text class="title" x="4" y="-8">${xmlEscape(title)}</text>
+<g class="grid">${lines.join('')}</g>
+${elements.join('\n')}
+</svg>
+`;
+}
+
+// OSD/layout.json + preview_profileN.svg for every profile that shows elements.
+// `osdTab`: what the OSD tab showed (see readOsdTabState in content.js), kept
+// as is – the configurator's element names differ from the osd_*_pos names
+function buildOsdLayoutExport(model, osdTab = null) {
+    const elements = Object.keys(model.master)
+        .filter(key => /^osd_\w+_pos$/.test(key) && /^\d+$/.test(model.master[key]))
+        .sort()
+        .map(key => ({ name: key.slice(4, -4), setting: key, value: Number(model.master[key]), ...decodeOsdPosition(model.master[key]) }));
+    if (elements.length === 0) return null;
+
+    const videoSystem = model.master.vcd_video_system || null;
+    const layout = {
+        videoSystem,
+        grid: pickOsdGrid(videoSystem, elements),
+        activeProfile: Number(model.master.osd_profile) || 1,
+        profiles: Array.from({ length: OSD_PROFILE_COUNT }, (_, i) => ({
+            index: i + 1,
+            name: model.master[`osd_profile_${i + 1}_name`]?.replace(/^-$/, '') || '',
+            elements: elements.filter(e => e.profiles.includes(i + 1)).length,
+        })),
+        elements,
+    };
+    if (osdTab) layout.tab = osdTab;
+
+    const previews = layout.profiles
+        .filter(p => p.elements > 0)
+        .map(p => ({ name: `preview_profile${p.index}.svg`, svg: buildOsdPreviewSvg(layout, p.index) }));
+
+    return { json: JSON.stringify(layout, null, 2), previews };
+}
+
+// ── Battery / power ─────────────────────────────────────────────────────
+
+var BATTERY_SETTING_PATTERN = /^(vbat_|ibata_|bat_)/;
+var BATTERY_EXTRA_SETTINGS = ['battery_meter', 'current_meter', 'force_battery_cell_count', 'report_cell_voltage'];
+
+// "330" → 330, "ADC" stays text
+function settingValue(value) {
+    return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+}
+
+// Power/battery.json – voltage/current meter calibration, warning and
+// minimum cell voltages and capacity, grouped like the Power tab
+function buildBatteryExport(model) {
+    const keys = Object.keys(model.master)
+        .filter(k => BATTERY_SETTING_PATTERN.test(k) || BATTERY_EXTRA_SETTINGS.includes(k))
+        .sort();
+    if (keys.length === 0) return null;
+
+    const pick = (test) => Object.fromEntries(keys.filter(test).map(k => [k, settingValue(model.master[k])]));
+    const battery = {
+        batteryMeter: model.master.battery_meter ?? null,
+        currentMeter: model.master.current_meter ?? null,
+        capacityMah: model.master.bat_capacity !== undefined ? settingValue(model.master.bat_capacity) : null,
+        voltage: pick(k => k.startsWith('vbat_')),
+        current: pick(k => k.startsWith('ibata_')),
+        other: pick(k => !k.startsWith('vbat_') && !k.startsWith('ibata_')),
+    };
+    return JSON.stringify(battery, null, 2);
+}
+
+// ── VTX table ───────────────────────────────────────────────────────────
+
+var VTX_TABLE_FILE_VERSION = '1.0';
+
+// `vtxtable bands|channels|band|powerlevels|powervalues|powerlabels ...`
+function parseVtxTable(lines) {
+    const table = { bands: 0, channels: 0, bandList: [], powerLevels: 0, powerValues: [], powerLabels: [] };
+    for (const line of lines) {
+        const [sub, ...args] = line.split(/\s+/);
+        switch (sub) {
+            case 'bands': table.bands = Number(args[0]) || 0; break;
+            case 'channels': table.channels = Number(args[0]) || 0; break;
+            case 'powerlevels': table.powerLevels = Number(args[0]) || 0; break;
+            case 'powervalues': table.powerValues = args.map(Number); break;
+            case 'powerlabels': table.powerLabels = args; break;
+            case 'band': {
+                // band <n> <name> <letter> <FACTORY|CUSTOM> <frequencies...>
+                const [index, name, letter, kind, ...frequencies] = args;
+                table.bandList.push({
+                    index: Number(index),
+                    name,
+                    letter,
+                    factory: kind?.toUpperCase() === 'FACTORY',
+                    frequencies: frequencies.map(Number),
+                });
+                break;
+            }
+        }
+    }
+    table.bandList.sort((a, b) => a.index - b.index);
+    return table;
+}
+
+// VTX/vtxtable.json (readable, with the current vtx_* selection) and
+// VTX/vtxtable_configurator.json, the file the VTX tab's "Load from file" takes
+function buildVtxTableExport(model) {
+    const lines = model.commands.vtxtable;
+    if (!lines?.length) return null;
+    const table = parseVtxTable(lines);
+    if (table.bandList.length === 0 && table.powerLevels === 0) return null;
+
+    const powerLevels = table.powerValues.slice(0, table.powerLevels || undefined)
+        .map((value, i) => ({ level: i + 1, value, label: table.powerLabels[i] ?? String(value) }));
+    const current = Object.fromEntries(Object.keys(model.master)
+        .filter(k => k.startsWith('vtx_'))
+        .sort()
+        .map(k => [k, settingValue(model.master[k])]));
+
+    const readable = {
+        bands: table.bands,
+        channels: table.channels,
+        bandList: table.bandList,
+        powerLevels,
+        current,
+    };
+    const configurator = {
+        description: 'Betaflight VTX Config file',
+        version: VTX_TABLE_FILE_VERSION,
+        vtx_table: {
+            bands_list: table.bandList.map(b => ({
+                name: b.name,
+                letter: b.letter,
+                is_factory_band: b.factory,
+                frequencies: b.frequencies,
+            })),
+            powerlevels_list: powerLevels.map(p => ({ value: p.value, label: p.label })),
+        },
+    };
+    return { json: JSON.stringify(readable, null, 2), configurator: JSON.stringify(configurator, null, 2) };
+}
+
+// ── Modes & adjustments ─────────────────────────────────────────────────
+
+// Mode names by permanent box ID (the `aux` mode field), as of 4.4
+var MODE_NAMES = {
+    0: 'ARM', 1: 'ANGLE', 2: 'HORIZON', 3: 'BARO', 4: 'ANTI GRAVITY', 5: 'MAG', 6: 'HEADFREE', 7: 'HEADADJ',
+    8: 'CAMSTAB', 12: 'PASSTHRU', 13: 'BEEPER', 15: 'LEDLOW', 17: 'CALIB', 19: 'OSD DISABLE', 20: 'TELEMETRY',
+    23: 'SERVO1', 24: 'SERVO2', 25: 'SERVO3', 26: 'BLACKBOX', 27: 'FAILSAFE', 28: 'AIR MODE', 29: '3D DISABLE / SWITCH',
+    30: 'FPV ANGLE MIX', 31: 'BLACKBOX ERASE', 32: 'CAMERA CONTROL 1', 33: 'CAMERA CONTROL 2', 34: 'CAMERA CONTROL 3',
+    35: 'FLIP OVER AFTER CRASH', 36: 'PREARM', 37: 'GPS BEEP SATELLITE COUNT', 39: 'VTX PIT MODE',
+    40: 'USER1', 41: 'USER2', 42: 'USER3', 43: 'USER4', 44: 'PID AUDIO', 45: 'PARALYZE', 46: 'GPS RESCUE',
+    47: 'ACRO TRAINER', 48: 'VTX CONTROL DISABLE', 49: 'LAUNCH CONTROL', 50: 'MSP OVERRIDE',
+    51: 'STICK COMMANDS DISABLE', 52: 'BEEPER MUTE', 53: 'READY', 54: 'LAP TIMER RESET',
+};
+
+// [first firmware version, { id: name }] – later releases renamed or added modes
+var MODE_NAME_CHANGES = [
+    ['4.6.0', { 3: 'ALTHOLD', 11: 'POS HOLD', 55: 'CHIRP' }],
+];
+
+// Adjustment functions (`adjrange` function field)
+var ADJUSTMENT_NAMES = [
+    'None', 'RC Rate', 'RC Expo', 'Throttle Expo', 'Pitch & Roll Rate', 'Yaw Rate', 'Pitch & Roll P', 'Pitch & Roll I',
+    'Pitch & Roll D', 'Yaw P', 'Yaw I', 'Yaw D', 'Rate Profile', 'Pitch Rate', 'Roll Rate', 'Pitch P', 'Pitch I',
+    'Pitch D', 'Roll P', 'Roll I', 'Roll D', 'RC Rate Yaw', 'Pitch & Roll F', 'Feedforward Transition',
+    'Horizon Strength', 'Roll RC Rate', 'Pitch RC Rate', 'Roll RC Expo', 'Pitch RC Expo', 'PID Audio', 'Pitch F',
+    'Roll F', 'Yaw F', 'OSD Profile', 'LED Profile', 'LED Dimmer',
+];
+
+// PWM scale of the range bars
+var RC_RANGE_MIN = 900;
+var RC_RANGE_MAX = 2100;
+
+// "4.5.1" >= "4.5.0"
+function firmwareAtLeast(version, min) {
+    const a = String(version || '0').split('.').map(n => parseInt(n, 10) || 0);
+    const b = min.split('.').map(Number);
+    for (let i = 0; i < b.length; i++) {
+        if ((a[i] || 0) !== b[i]) return (a[i] || 0) > b[i];
+    }
+    return true;
+}
+
+function modeNamesFor(version) {
+    const names = { ...MODE_NAMES };
+    for (const [since, changes] of MODE_NAME_CHANGES) {
+        if (firmwareAtLeast(version, since)) Object.assign(names, changes);
+    }
+    return names;
+}
+
+// adjrange <index> <unused> <aux channel> <start> <end> <function> <switch aux channel> <center> <scale>
+function parseAdjustmentRanges(lines) {
+    return (lines || []).map(line => line.split(/\s+/).map(Number)).filter(t => t.length >= 6).map(t => ({
+        index: t[0],
+        channel: t[2],
+        low: t[3],
+        high: t[4],
+        functionId: t[5],
+        switchChannel: t[6] || 0,
+        center: t[7] || 0,
+        scale: t[8] || 0,
+    }));
+}
+
+function rangeBarHtml(low, high) {
+    const span = RC_RANGE_MAX - RC_RANGE_MIN;
+    const left = ((low - RC_RANGE_MIN) / span * 100).toFixed(1);
+    const width = ((high - low) / span * 100).toFixed(1);
+    return `<div class="bar"><div style="left: ${left}%; width: ${width}%"></div></div>`;
+}
+
+// Modes/modes.csv + modes.html (range bars) and Adjustments/adjustments.csv.
+// Unused slots (empty range, not linked) are left out.
+function buildModesExport(model) {
+    const names = modeNamesFor(model.header.version);
+    const modeName = (id) => names[id] || `MODE ${id}`;
+    const auxName = (channel) => `AUX ${channel + 1}`;
+
+    const modes = model.aux
+        .filter(a => a.high > a.low || a.linkedTo > 0)
+        .map(a => ({
+            mode: modeName(a.modeId),
+            modeId: a.modeId,
+            channel: a.linkedTo > 0 ? '' : auxName(a.channel),
+            low: a.linkedTo > 0 ? '' : a.low,
+            high: a.linkedTo > 0 ? '' : a.high,
+            logic: a.logic === 1 ? 'AND' : 'OR',
+            linkedTo: a.linkedTo > 0 ? modeName(a.linkedTo) : '',
+        }));
+    const adjustments = parseAdjustmentRanges(model.commands.adjrange)
+        .filter(r => r.high > r.low && r.functionId > 0)
+        .map(r => ({
+            ...r,
+            name: ADJUSTMENT_NAMES[r.functionId] || `Function ${r.functionId}`,
+        }));
+    if (modes.length === 0 && adjustments.length === 0) return null;
+
+    const csv = csvLines([
+        ['mode', 'mode_id', 'channel', 'range_low', 'range_high', 'logic', 'linked_mode'],
+        ...modes.map(m => [m.mode, m.modeId, m.channel, m.low, m.high, m.logic, m.linkedTo]),
+    ]) + '\n';
+    const adjustmentsCsv = adjustments.length ? csvLines([
+        ['adjustment', 'function_id', 'enable_channel', 'range_low', 'range_high', 'value_channel', 'center', 'scale'],
+        ...adjustments.map(r => [r.name, r.functionId, auxName(r.channel), r.low, r.high,
+            auxName(r.switchChannel), r.center, r.scale]),
+    ]) + '\n' : null;
+
+    const esc = xmlEscape;
+    const modeRows = modes.map(m => `<tr><td>${esc(m.mode)}</td><td>${esc(m.channel)}</td>` +
+        (m.linkedTo
+            ? `<td colspan="2">linked to ${esc(m.linkedTo)}</td>`
+            : `<td>${m.low}–${m.high}</td><td>${rangeBarHtml(m.low, m.high)}</td>`) +
+        `<td>${m.logic}</td></tr>`).join('\n');
+    const adjustmentRows = adjustments.map(r => `<tr><td>${esc(r.name)}</td><td>${auxName(r.channel)}</td>` +
+        `<td>${r.low}–${r.high}</td><td>${rangeBarHtml(r.low, r.high)}</td><td>${auxName(r.switchChannel)}</td></tr>`).join('\n');
+    const craft = [model.craftName, model.boardName,
+        model.header.version && `${model.header.firmware} ${model.header.version}`].filter(Boolean).join(' · ');
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Modes${craft ? ` – ${esc(craft)}` : ''}</title>
+<style>
+    body { font-family: 'Segoe UI', system-ui, sans-serif; background: #0f0f1a; color: #c8c8d4; margin: 24px; }
+    h1 { color: #fff; font-size: 20px; }
+    h2 { color: #ffab40; font-size: 16px; }
+    table { border-collapse: collapse; font-size: 13px; }
+    th, td { text-align: left; padding: 4px 12px 4px 0; }
+    th { color: #999; font-weight: 600; }
+    .bar { position: relative; width: 240px; height: 10px; background: #1f1f30; border-radius: 3px; }
+    .bar div { position: absolute; top: 0; bottom: 0; background: #ffab40; border-radius: 3px; }
+</style>
+</head>
+<body>
+<h1>Modes</h1>
+${craft ? `<p>${esc(craft)}</p>` : ''}
+<table>
+<tr><th>Mode</th><th>Channel</th><th>Range</th><th>${RC_RANGE_MIN}–${RC_RANGE_MAX}</th><th>Logic</th></tr>
+${modeRows}
+</table>
+${adjustments.length ? `<h2>Adjustments</h2>
+<table>
+<tr><th>Adjustment</th><th>Enable channel</th><th>Range</th><th>${RC_RANGE_MIN}–${RC_RANGE_MAX}</th><th>Value channel</th></tr>
+${adjustmentRows}
+</table>` : ''}
+</body>
+</html>
+`;
+    return { csv, html, adjustmentsCsv };
+}
+
+// ── Wiring ──────────────────────────────────────────────────────────────
+
+// serialPortFunction_e bits of the `serial` function mask
+var SERIAL_FUNCTIONS = [
+    [1, 'MSP'], [2, 'GPS'], [4, 'FrSky telemetry'], [8, 'HoTT telemetry'], [16, 'LTM telemetry'],
+    [32, 'SmartPort telemetry'], [64, 'Serial RX'], [128, 'Blackbox'], [512, 'MAVLink telemetry'],
+    [1024, 'ESC sensor'], [2048, 'SmartAudio'], [4096, 'IBUS telemetry'], [8192, 'Tramp'],
+    [16384, 'RunCam device'], [32768, 'Lidar TF'], [65536, 'FrSky OSD'], [131072, 'VTX MSP'],
+];
+var TELEMETRY_FUNCTION_MASK = 4 | 8 | 16 | 32 | 512 | 4096;
+
+// `map` letters
+var RC_MAP_NAMES = { A: 'Roll', E: 'Pitch', R: 'Yaw', T: 'Throttle', 1: 'AUX 1', 2: 'AUX 2', 3: 'AUX 3', 4: 'AUX 4' };
+
+// Receiver type features, first enabled wins
+var RX_FEATURES = [
+    ['RX_SERIAL', 'Serial'], ['RX_SPI', 'SPI (built-in)'], ['RX_PPM', 'PPM'],
+    ['RX_PARALLEL_PWM', 'Parallel PWM'], ['RX_MSP', 'MSP'],
+];
+
+function serialPortName(identifier) {
+    if (typeof identifier === 'string') return identifier === 'VCP' ? 'USB VCP' : identifier;
+    if (identifier === 20) return 'USB VCP';
+    if (identifier >= 0 && identifier < 20) return `UART${identifier + 1}`;
+    if (identifier >= 30 && identifier < 40) return `SOFTSERIAL${identifier - 29}`;
+    if (identifier >= 40 && identifier < 50) return `LPUART${identifier - 39}`;
+    return `Port ${identifier}`;
+}
+
+// UART number for the SERIAL_TX/SERIAL_RX resource index, null for other ports
+function uartNumber(identifier) {
+    if (typeof identifier === 'string') {
+        const m = identifier.match(/^UART(\d+)$/);
+        return m ? Number(m[1]) : null;
+    }
+    return identifier >= 0 && identifier < 20 ? identifier + 1 : null;
+}
+
+// "MSP 115200, GPS 57600" – the baud field that applies to each function
+function serialFunctionsText(port) {
+    return SERIAL_FUNCTIONS.filter(([bit]) => port.functionMask & bit).map(([bit, name]) => {
+        let baud = null;
+        if (bit === 1) baud = port.mspBaud;
+        else if (bit === 2) baud = port.gpsBaud;
+        else if (bit === 128) baud = port.blackboxBaud;
+        else if (bit & TELEMETRY_FUNCTION_MASK) baud = port.telemetryBaud || 'auto';
+        return baud ? `${name} ${baud}` : name;
+    }).join(', ');
+}
+
+// Ports/wiring.md – which UART carries what, receiver setup, channel map,
+// pin assignments and features, for rewiring a replacement FC
+function buildWiringExport(model) {
+    const ports = model.serial.filter(p => p.functionMask > 0);
+    const pins = model.resources.filter(r => r.pin && r.pin.toUpperCase() !== 'NONE');
+    const rxSettings = Object.keys(model.master).filter(k => /^(serialrx_|rx_spi_)/.test(k)).sort();
+    if (ports.length === 0 && pins.length === 0 && !model.map && rxSettings.length === 0) return null;
+
+    const pinOf = (fn, index) => model.resources.find(r => r.function === fn && r.index === index)?.pin || '';
+    const md = ['# Wiring', ''];
+    const craft = [model.craftName, model.boardName,
+        model.header.version && `${model.header.firmware} ${model.header.version}`].filter(Boolean);
+    if (craft.length) md.push(craft.join(' · '), '');
+
+    // ── Receiver
+    md.push('## Receiver', '');
+    const rxType = RX_FEATURES.find(([feature]) => model.features[feature]);
+    if (rxType) md.push(`- Type: ${rxType[1]}`);
+    if (model.master.serialrx_provider && (!rxType || rxType[0] === 'RX_SERIAL')) {
+        const rxPorts = ports.filter(p => p.functionMask & 64).map(p => serialPortName(p.identifier));
+        md.push(`- Protocol: ${model.master.serialrx_provider}${rxPorts.length ? ` on ${rxPorts.join(', ')}` : ''}`);
+    }
+    for (const key of rxSettings.filter(k => k !== 'serialrx_provider')) md.push(`- \`${key}\` = ${model.master[key]}`);
+    if (model.map) {
+        const channels = model.map.split('').map((c, i) => `${i + 1}: ${RC_MAP_NAMES[c] || c}`);
+        md.push(`- Channel map: \`${model.map}\` (${channels.join(', ')})`);
+    }
+    md.push('');
+
+    // ── Serial ports
+    if (ports.length) {
+        md.push('## Serial Ports', '', markdownTable(['Port', 'Functions', 'TX pin', 'RX pin'], ports.map(p => {
+            const uart = uartNumber(p.identifier);
+            return [serialPortName(p.identifier), serialFunctionsText(p),
+                uart ? pinOf('SERIAL_TX', uart) : '', uart ? pinOf('SERIAL_RX', uart) : ''];
+        })), '');
+    }
+
+    // ── Pins
+    if (pins.length) {
+        md.push('## Pin Resources', '', markdownTable(['Function', 'Index', 'Pin'],
+            pins.map(r => [r.function, r.index, r.pin])), '');
+    }
+
+    // ── Features
+    const enabled = Object.keys(model.features).filter(f => model.features[f]).sort();
+    if (enabled.length) md.push('## Features', '', enabled.map(f => `\`${f}\``).join(' '), '');
+
+    return md.join('\n');
+}
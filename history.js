@@ -0,0 +1,108 @@
+// ============================================================================
+// Betaflight Backup Extension – Backup History
+// IndexedDB-backed library of completed backups. Shared by the service worker
+// (adds entries) and the popup (browse, rename, tag, delete, re-download).
+// ============================================================================
+
+var HISTORY_DB_NAME = 'bfBackupHistory';
+var HISTORY_STORE = 'backups';      // entry metadata – listed every time the popup opens
+var HISTORY_ZIP_STORE = 'zips';     // { id, zip } – read only to download one backup
+var HISTORY_DEFAULT_LIMIT = 20;
+
+function openHistoryDb() {
+    return new Promise((resolve, reject) => {
+        const req = indexedDB.open(HISTORY_DB_NAME, 2);
+        req.onupgradeneeded = (event) => {
+            const db = req.result;
+            if (event.oldVersion < 1) {
+                const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('timestamp', 'timestamp');
+            }
+            if (event.oldVersion < 2) {
+                // Version 1 kept the ZIP inside the entry – move it to its own store
+                const zips = db.createObjectStore(HISTORY_ZIP_STORE, { keyPath: 'id' });
+                req.transaction.objectStore(HISTORY_STORE).openCursor().onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (!cursor) return;
+                    const { zip, ...entry } = cursor.value;
+                    if (zip) {
+                        zips.put({ id: entry.id, zip });
+                        cursor.update(entry);
+                    }
+                    cursor.continue();
+                };
+            }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// Run `fn(tx)` in a transaction over both stores and resolve with the
+// result of the request it returns, once the transaction has committed.
+async function historyTransaction(mode, fn) {
+    const db = await openHistoryDb();
+    try {
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction([HISTORY_STORE, HISTORY_ZIP_STORE], mode);
+            const req = fn(tx);
+            tx.oncomplete = () => resolve(req?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('History transaction aborted'));
+        });
+    } finally {
+        db.close();
+    }
+}
+
+// entry: { timestamp, name, craftName, firmwareVersion, board, size, files, tags, zip (Blob) }
+// The ZIP is stored under the new entry's id in the ZIP store
+function addHistoryEntry({ zip, ...entry }) {
+    return historyTransaction('readwrite', tx => {
+        const req = tx.objectStore(HISTORY_STORE).add({ tags: [], ...entry });
+        req.onsuccess = () => tx.objectStore(HISTORY_ZIP_STORE).put({ id: req.result, zip });
+        return req;
+    });
+}
+
+// Metadata only
+function getHistoryEntry(id) {
+    return historyTransaction('readonly', tx => tx.objectStore(HISTORY_STORE).get(id));
+}
+
+async function getHistoryZip(id) {
+    return (await historyTransaction('readonly', tx => tx.objectStore(HISTORY_ZIP_STORE).get(id)))?.zip || null;
+}
+
+// Newest first, without the ZIPs
+async function listHistoryEntries() {
+    const entries = await historyTransaction('readonly', tx => tx.objectStore(HISTORY_STORE).getAll());
+    return (entries || []).sort((a, b) => b.timestamp - a.timestamp);
+}
+
+async function updateHistoryEntry(id, changes) {
+    const entry = await getHistoryEntry(id);
+    if (!entry) throw new Error(`History entry ${id} not found`);
+    return historyTransaction('readwrite', tx => tx.objectStore(HISTORY_STORE).put({ ...entry, ...changes, id }));
+}
+
+function deleteHistoryEntry(id) {
+    return historyTransaction('readwrite', tx => {
+        tx.objectStore(HISTORY_ZIP_STORE).delete(id);
+        return tx.objectStore(HISTORY_STORE).delete(id);
+    });
+}
+
+// Keep only the newest `limit` backups (0 = unlimited)
+async function pruneHistory(limit) {
+    if (!limit || limit <= 0) return 0;
+    const entries = await listHistoryEntries();
+    const stale = entries.slice(limit);
+    for (const e of stale) await deleteHistoryEntry(e.id);
+    return stale.length;
+}
+
+async function getHistoryLimit() {
+    const { historyLimit } = await chrome.storage.local.get('historyLimit');
+    return Number.isInteger(historyLimit) ? historyLimit : HISTORY_DEFAULT_LIMIT;
+}
@@ -0,0 +1,233 @@
+// ============================================================================
+// Betaflight Backup Extension – MSP over Web Serial
+// Talks to the flight controller directly, without the configurator UI:
+// MSP v1 requests for board metadata, then the CLI for diff/dump output.
+// Works on anything shaped like a Web Serial SerialPort, including the
+// simulated flight controller in serial_sim.js.
+// Requires cli_parser.js (endsWithCliPrompt, frameCliOutput).
+// ============================================================================
+
+var MSP_API_VERSION = 1;
+var MSP_FC_VARIANT = 2;
+var MSP_FC_VERSION = 3;
+var MSP_BOARD_INFO = 4;
+var MSP_BUILD_INFO = 5;
+var MSP_NAME = 10;
+
+var MSP_TIMEOUT = 1000;
+var MSP_RETRIES = 3;
+var SERIAL_POLL_INTERVAL = 50;
+var SERIAL_CLI_ENTER_TIMEOUT = 5000;
+
+// ═══════════════════════════════════════════════════════════════════════
+//  MSP v1 Framing – "$M<" size code payload checksum
+// ═══════════════════════════════════════════════════════════════════════
+
+// XOR of size, code and payload
+function mspChecksum(bytes) {
+    return bytes.reduce((sum, b) => sum ^ b, 0);
+}
+
+// direction: '<' request, '>' response, '!' unsupported command
+function encodeMspFrame(direction, code, payload = []) {
+    const body = [payload.length, code, ...payload];
+    return new Uint8Array([0x24, 0x4d, direction.charCodeAt(0), ...body, mspChecksum(body)]);
+}
+
+// Cut complete frames out of a byte array. Bytes before a "$M" header are
+// dropped; an incomplete frame at the end is returned as `rest` so it can be
+// prepended to the next chunk read from the port.
+function decodeMspFrames(bytes) {
+    const frames = [];
+    let i = 0;
+    while (i < bytes.length) {
+        if (bytes[i] !== 0x24) { i++; continue; }
+        if (bytes.length - i < 3) break;
+        const direction = String.fromCharCode(bytes[i + 2]);
+        if (bytes[i + 1] !== 0x4d || !'<>!'.includes(direction)) { i++; continue; }
+        if (bytes.length - i < 6) break;
+
+        const size = bytes[i + 3];
+        if (bytes.length - i < 6 + size) break;
+        const body = Array.from(bytes.slice(i + 3, i + 5 + size));
+        frames.push({
+            direction,
+            code: bytes[i + 4],
+            payload: Uint8Array.from(bytes.slice(i + 5, i + 5 + size)),
+            ok: mspChecksum(body) === bytes[i + 5 + size],
+        });
+        i += 6 + size;
+    }
+    return { frames, rest: Array.from(bytes.slice(i)) };
+}
+
+// ── Payload decoding ─────────────────────────────────────────────────
+
+function mspReader(payload) {
+    let pos = 0;
+    const reader = {
+        remaining: () => payload.length - pos,
+        u8: () => payload[pos++],
+        u16: () => { const v = payload[pos] | (payload[pos + 1] << 8); pos += 2; return v; },
+        text: (len) => { const s = String.fromCharCode(...payload.slice(pos, pos + len)); pos += len; return s; },
+        // Length-prefixed string; null when the payload ends early (older API)
+        lengthText: () => reader.remaining() > 0 ? reader.text(reader.u8()) : null,
+    };
+    return reader;
+}
+
+function parseMspApiVersion(payload) {
+    return { protocolVersion: payload[0], apiVersion: `${payload[1]}.${payload[2]}` };
+}
+
+function parseMspFcVariant(payload) {
+    return mspReader(payload).text(4);
+}
+
+function parseMspFcVersion(payload) {
+    return `${payload[0]}.${payload[1]}.${payload[2]}`;
+}
+
+function parseMspBoardInfo(payload) {
+    const r = mspReader(payload);
+    const info = { boardIdentifier: r.text(4), hardwareRevision: r.u16() };
+    if (r.remaining() >= 2) {
+        info.boardType = r.u8();
+        info.targetCapabilities = r.u8();
+    }
+    info.targetName = r.lengthText();
+    info.boardName = r.lengthText();
+    info.manufacturerId = r.lengthText();
+    return info;
+}
+
+// "Jul  7 2024" "03:55:52" "77d01ba"
+function parseMspBuildInfo(payload) {
+    const r = mspReader(payload);
+    return { buildDate: r.text(11), buildTime: r.text(8), gitHash: r.text(7) };
+}
+
+function parseMspName(payload) {
+    return mspReader(payload).text(payload.length);
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+//  Serial Link – MSP and CLI on one opened port
+// ═══════════════════════════════════════════════════════════════════════
+
+// In 'msp' mode incoming bytes are decoded as frames, in 'cli' mode they are
+// collected as terminal text. The port must already be open.
+function createSerialLink(port) {
+    const reader = port.readable.getReader();
+    const writer = port.writable.getWriter();
+    const textDecoder = new TextDecoder();
+    let mode = 'msp';
+    let pending = [];       // start of an MSP frame not fully received yet
+    let frames = [];        // decoded frames not yet claimed by a request
+    let cliText = '';
+    let readError = null;
+    let closing = false;
+
+    const readLoop = (async () => {
+        try {
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                if (mode === 'cli') {
+                    cliText += textDecoder.decode(value, { stream: true });
+                    continue;
+                }
+                const decoded = decodeMspFrames(pending.concat(Array.from(value)));
+                pending = decoded.rest;
+                frames.push(...decoded.frames);
+            }
+        } catch (e) {
+            if (!closing) readError = e;
+        }
+    })();
+
+    const write = (data) => writer.write(typeof data === 'string' ? new TextEncoder().encode(data) : data);
+
+    // Resolve with check()'s first truthy result, or null after maxMs
+    const waitFor = async (check, maxMs) => {
+        const deadline = Date.now() + maxMs;
+        for (;;) {
+            const result = check();
+            if (result) return result;
+            if (readError) throw new Error(`Serial read failed: ${readError.message}`);
+            if (Date.now() >= deadline) return null;
+            await new Promise(r => setTimeout(r, SERIAL_POLL_INTERVAL));
+        }
+    };
+
+    return {
+        async msp(code, payload = []) {
+            for (let attempt = 1; attempt <= MSP_RETRIES; attempt++) {
+                await write(encodeMspFrame('<', code, payload));
+                const frame = await waitFor(() => {
+                    const idx = frames.findIndex(f => f.code === code);
+                    return idx >= 0 ? frames.splice(idx, 1)[0] : null;
+                }, MSP_TIMEOUT);
+                if (!frame || !frame.ok) continue;   // lost or corrupted – ask again
+                if (frame.direction === '!') throw new Error(`MSP command ${code} is not supported by this firmware`);
+                return frame.payload;
+            }
+            throw new Error(`No MSP response for command ${code}`);
+        },
+
+        // A '#' outside an MSP frame switches Betaflight into the CLI
+        async enterCli() {
+            mode = 'cli';
+            cliText = '';
+            await write('#');
+            if (!await waitFor(() => endsWithCliPrompt(cliText), SERIAL_CLI_ENTER_TIMEOUT)) {
+                throw new Error('Flight controller did not enter CLI mode.');
+            }
+        },
+
+        // Same framing as the configurator path: echo, output, fresh prompt
+        async cli(cmd, maxMs) {
+            cliText = '';
+            await write(`${cmd}\n`);
+            const complete = !!await waitFor(() => frameCliOutput(cliText, cmd).complete, maxMs);
+            return { ...frameCliOutput(cliText, cmd), complete };
+        },
+
+        // `exit` leaves the CLI without saving – Betaflight reboots
+        async exitCli() {
+            if (mode !== 'cli') return;
+            await write('exit\n');
+            mode = 'msp';
+        },
+
+        async close() {
+            closing = true;
+            await reader.cancel().catch(() => {});
+            await readLoop;
+            reader.releaseLock();
+            writer.releaseLock();
+            await port.close();
+        },
+    };
+}
+
+// Metadata the configurator shows in its header. Only MSP_API_VERSION is
+// required (it proves an MSP-speaking FC is on the port); the rest may be
+// missing on old firmware.
+async function readMspInfo(link) {
+    const info = parseMspApiVersion(await link.msp(MSP_API_VERSION));
+    const optional = async (code, parse) => {
+        try {
+            return parse(await link.msp(code));
+        } catch (e) {
+            console.warn(`[BF-Backup] MSP ${code}:`, e.message);
+            return null;
+        }
+    };
+    info.fcVariant = await optional(MSP_FC_VARIANT, parseMspFcVariant);
+    info.fcVersion = await optional(MSP_FC_VERSION, parseMspFcVersion);
+    info.board = await optional(MSP_BOARD_INFO, parseMspBoardInfo);
+    info.build = await optional(MSP_BUILD_INFO, parseMspBuildInfo);
+    info.craftName = await optional(MSP_NAME, parseMspName);
+    return info;
+}
@@ -12,12 +12,23 @@ const progressLabel = document.getElementById('progressLabel');
 const optScreenshots = document.getElementById('optScreenshots');
 const optCli = document.getElementById('optCli');
 const optProfiles = document.getElementById('optProfiles');
+const optFilename = document.getElementById('optFilename');
+const optPartial = document.getElementById('optPartial');
+const optImageFormat = document.getElementById('optImageFormat');
+const optImageQuality = document.getElementById('optImageQuality');
+const imageQualityLabel = document.getElementById('imageQualityLabel');
+const optCaptureEngine = document.getElementById('optCaptureEngine');
 
 const tabGrid = document.getElementById('tabGrid');
 const tabSelectionCount = document.getElementById('tabSelectionCount');
 const tabSelectionToggle = document.getElementById('tabSelectionToggle');
 const tabSelectionBody = document.getElementById('tabSelectionBody');
 
+const cliCommandsToggle = document.getElementById('cliCommandsToggle');
+const cliCommandsBody = document.getElementById('cliCommandsBody');
+const cliCommandsCount = document.getElementById('cliCommandsCount');
+const cliCommandList = document.getElementById('cliCommandList');
+
 // ─── Known Betaflight Configurator tabs ──────────────────────────────
 const KNOWN_TABS = [
     { cls: 'tab_setup',         label: 'Setup',       on: true },
@@ -57,9 +68,12 @@ chrome.storage.session.get('backupStatus', ({ backupStatus }) => {
 });
 
 const backupHint = document.getElementById('backupHint');
+const resumeRow = document.getElementById('resumeRow');
+const resumeInfo = document.getElementById('resumeInfo');
 
 function setRunningUI(running) {
     btn.style.display = running ? 'none' : '';
+    if (running) resumeRow.style.display = 'none';
     stopBtn.style.display = running ? '' : 'none';
     stopBtn.disabled = false; // reset disabled state from previous stop click
     backupHint.style.display = running ? '' : 'none';
@@ -96,15 +110,117 @@ function getSelectedTabClasses() {
     return Array.from(checks).map(c => c.dataset.tab);
 }
 
+// ─── CLI command list ───────────────────────────────────────────────
+function presetCliCommands() {
+    return CLI_COMMAND_PRESET.map(c => ({ ...c }));
+}
+
+function buildCliCommandList(commands) {
+    cliCommandList.innerHTML = '';
+    commands.forEach(c => cliCommandList.appendChild(buildCliCommandRow(c)));
+    updateCliCommandCount();
+}
+
+function buildCliCommandRow({ cmd, timeout, on }) {
+    const row = document.createElement('div');
+    row.className = 'cli-command';
+
+    const check = document.createElement('input');
+    check.type = 'checkbox';
+    check.checked = on;
+
+    const text = document.createElement('input');
+    text.type = 'text';
+    text.spellcheck = false;
+    text.value = cmd;
+
+    const secs = document.createElement('input');
+    secs.type = 'number';
+    secs.min = 1;
+    secs.max = 300;
+    secs.value = Math.round((timeout || 15000) / 1000);
+
+    const remove = document.createElement('button');
+    remove.className = 'history-action danger';
+    remove.title = 'Remove';
+    remove.textContent = '\u2715';
+    remove.addEventListener('click', () => {
+        row.remove();
+        saveCliCommands();
+    });
+
+    row.append(check, text, secs, remove);
+    validateCliCommandRow(row);
+    return row;
+}
+
+// Write commands are never run by a backup – flag them right away
+function validateCliCommandRow(row) {
+    const cmd = row.querySelector('input[type="text"]').value;
+    const valid = isReadOnlyCliCommand(cmd);
+    row.classList.toggle('invalid', !valid);
+    row.title = valid ? '' : 'Not a read-only command – it will be skipped.';
+}
+
+function readCliCommands() {
+    return Array.from(cliCommandList.querySelectorAll('.cli-command')).map(row => ({
+        cmd: row.querySelector('input[type="text"]').value.trim(),
+        timeout: Math.max(1, parseInt(row.querySelector('input[type="number"]').value, 10) || 15) * 1000,
+        on: row.querySelector('input[type="checkbox"]').checked,
+    })).filter(c => c.cmd);
+}
+
+function updateCliCommandCount() {
+    const commands = readCliCommands();
+    cliCommandsCount.textContent = `${commands.filter(c => c.on).length}/${commands.length}`;
+}
+
+function saveCliCommands() {
+    chrome.storage.local.set({ cliCommands: readCliCommands() });
+    updateCliCommandCount();
+}
+
+cliCommandsToggle.addEventListener('click', () => {
+    const isOpen = cliCommandsBody.classList.toggle('open');
+    cliCommandsToggle.querySelector('.tab-selection-arrow').textContent = isOpen ? '\u25BE' : '\u25B8';
+});
+
+cliCommandList.addEventListener('input', (e) => {
+    const row = e.target.closest('.cli-command');
+    if (row) validateCliCommandRow(row);
+});
+cliCommandList.addEventListener('change', saveCliCommands);
+
+document.getElementById('addCliCommand').addEventListener('click', (e) => {
+    e.preventDefault();
+    const row = buildCliCommandRow({ cmd: '', timeout: 15000, on: true });
+    cliCommandList.appendChild(row);
+    row.querySelector('input[type="text"]').focus();
+});
+
+document.getElementById('resetCliCommands').addEventListener('click', (e) => {
+    e.preventDefault();
+    buildCliCommandList(presetCliCommands());
+    saveCliCommands();
+});
+
 // ─── Persist option preferences ─────────────────────────────────────
-chrome.storage.local.get(['backupOptions', 'tabSelections'], ({ backupOptions, tabSelections }) => {
+chrome.storage.local.get(['backupOptions', 'tabSelections', 'cliCommands'], ({ backupOptions, tabSelections, cliCommands }) => {
     if (backupOptions) {
         optScreenshots.checked = backupOptions.screenshots !== false;
         optCli.checked = backupOptions.cli !== false;
         optProfiles.checked = backupOptions.profiles !== false;
+        optFilename.value = backupOptions.filenameTemplate || '';
+        optPartial.checked = backupOptions.partialOnError !== false;
+        optImageFormat.value = backupOptions.imageFormat || 'jpeg';
+        optImageQuality.value = backupOptions.imageQuality || 80;
+        optCaptureEngine.value = backupOptions.captureEngine || 'stitch';
     }
+    updateImageQuality();
     buildTabGrid(tabSelections || null);
+    buildCliCommandList(cliCommands || presetCliCommands());
     updateTabSelectionDisabled();
+    updateCliCommandsDisabled();
     updateProfilesDisabled();
 });
 
@@ -113,6 +229,11 @@ function saveOptions() {
         screenshots: optScreenshots.checked,
         cli: optCli.checked,
         profiles: optProfiles.checked,
+        filenameTemplate: optFilename.value.trim(),
+        partialOnError: optPartial.checked,
+        imageFormat: optImageFormat.value,
+        imageQuality: Number(optImageQuality.value),
+        captureEngine: optCaptureEngine.value,
     }});
 }
 
@@ -129,7 +250,13 @@ function getOptions() {
         screenshots: optScreenshots.checked,
         cli: optCli.checked,
         profiles: optProfiles.checked,
+        filenameTemplate: optFilename.value.trim(),
+        partialOnError: optPartial.checked,
+        imageFormat: optImageFormat.value,
+        imageQuality: Number(optImageQuality.value),
+        captureEngine: optCaptureEngine.value,
         selectedTabs: getSelectedTabClasses(),
+        cliCommands: readCliCommands().filter(c => c.on),
     };
 }
 
@@ -137,8 +264,42 @@ optScreenshots.addEventListener('change', () => {
     saveOptions();
     updateTabSelectionDisabled();
 });
-optCli.addEventListener('change', saveOptions);
+optCli.addEventListener('change', () => {
+    saveOptions();
+    updateCliCommandsDisabled();
+});
 optProfiles.addEventListener('change', saveOptions);
+optFilename.addEventListener('change', saveOptions);
+optPartial.addEventListener('change', saveOptions);
+
+// Quality only applies to the lossy formats
+function updateImageQuality() {
+    imageQualityLabel.textContent = optImageQuality.value;
+    optImageQuality.disabled = optImageFormat.value === 'png' || optImageFormat.disabled;
+    imageQualityLabel.style.opacity = optImageFormat.value === 'png' ? '0.4' : '';
+}
+optImageFormat.addEventListener('change', () => {
+    saveOptions();
+    updateImageQuality();
+});
+optImageQuality.addEventListener('input', updateImageQuality);
+optImageQuality.addEventListener('change', saveOptions);
+
+// The DevTools engine needs the optional "debugger" permission – ask while
+// we still have the user gesture, stay on stitching if it's declined
+optCaptureEngine.addEventListener('change', () => {
+    if (optCaptureEngine.value !== 'debugger') {
+        saveOptions();
+        return;
+    }
+    chrome.permissions.request({ permissions: ['debugger'] }, (granted) => {
+        if (!granted) {
+            optCaptureEngine.value = 'stitch';
+            showStatus('Full-page capture needs the "debugger" permission – keeping scroll & stitch.', 'error');
+        }
+        saveOptions();
+    });
+});
 
 // ─── Tab Selection UI ───────────────────────────────────────────────
 tabSelectionToggle.addEventListener('click', () => {
@@ -176,6 +337,13 @@ function updateTabSelectionDisabled() {
     updateProfilesDisabled();
 }
 
+function updateCliCommandsDisabled() {
+    const disabled = !optCli.checked;
+    cliCommandList.querySelectorAll('input, button').forEach(c => c.disabled = disabled);
+    cliCommandsToggle.style.opacity = disabled ? '0.4' : '';
+    cliCommandsToggle.style.pointerEvents = disabled ? 'none' : '';
+}
+
 function updateProfilesDisabled() {
     // Profiles only makes sense when PID Tuning tab is selected for screenshots
     const pidChecked = optScreenshots.checked &&
@@ -202,12 +370,49 @@ btn.addEventListener('click', async () => {
         showStatus("Select at least one tab to screenshot!", "error");
         return;
     }
+    if (options.cli && options.cliCommands.length === 0) {
+        showStatus("Enable at least one CLI command!", "error");
+        return;
+    }
 
     setRunningUI(true);
     showStatus("Starting backup...", "running");
     chrome.runtime.sendMessage({ action: "startBackup", tabId: tab.id, options });
 });
 
+// ─── Resume Interrupted Backup ──────────────────────────────────────
+async function refreshResumeState() {
+    const state = await chrome.runtime.sendMessage({ action: "getResumeState" }).catch(() => null);
+    if (!state?.available || stopBtn.style.display !== 'none') {
+        resumeRow.style.display = 'none';
+        return;
+    }
+    const started = new Date(state.startedAt).toLocaleString();
+    const done = state.completedTabs.length;
+    resumeInfo.textContent = `Interrupted backup from ${started} – ${done} tab${done === 1 ? '' : 's'} done` +
+        (done ? ` (${state.completedTabs.join(', ')})` : '');
+    resumeRow.style.display = '';
+}
+
+document.getElementById('resumeBackupBtn').addEventListener('click', async () => {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.url?.includes("app.betaflight.com")) {
+        showStatus("Open the Betaflight Configurator first!", "error");
+        return;
+    }
+    setRunningUI(true);
+    showStatus("Resuming backup...", "running");
+    chrome.runtime.sendMessage({ action: "resumeBackup", tabId: tab.id });
+});
+
+document.getElementById('discardResume').addEventListener('click', async (e) => {
+    e.preventDefault();
+    await chrome.runtime.sendMessage({ action: "discardResume" });
+    refreshResumeState();
+});
+
+refreshResumeState();
+
 // ─── Stop Backup ───────────────────────────────────────────────────
 stopBtn.addEventListener('click', () => {
     chrome.runtime.sendMessage({ action: "stopBackup" });
@@ -215,6 +420,188 @@ stopBtn.addEventListener('click', () => {
     stopBtn.disabled = true;
 });
 
+// ─── Backup History ─────────────────────────────────────────────────
+const historyToggle = document.getElementById('historyToggle');
+const historyBody = document.getElementById('historyBody');
+const historyList = document.getElementById('historyList');
+const historyCount = document.getElementById('historyCount');
+const historyLimitInput = document.getElementById('historyLimit');
+
+historyToggle.addEventListener('click', () => {
+    const isOpen = historyBody.classList.toggle('open');
+    historyToggle.querySelector('.tab-selection-arrow').textContent = isOpen ? '\u25BE' : '\u25B8';
+});
+
+getHistoryLimit().then(limit => { historyLimitInput.value = limit; });
+
+historyLimitInput.addEventListener('change', async () => {
+    const limit = Math.max(0, parseInt(historyLimitInput.value, 10) || 0);
+    historyLimitInput.value = limit;
+    await chrome.storage.local.set({ historyLimit: limit });
+    await pruneHistory(limit);
+    renderHistory();
+});
+
+function formatSize(bytes) {
+    if (bytes >= 1024 * 1024) return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+    return (bytes / 1024).toFixed(0) + ' KB';
+}
+
+function formatDate(ts) {
+    const d = new Date(ts);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')} ` +
+        `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+}
+
+function buildHistoryItem(entry) {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+
+    const row = document.createElement('div');
+    row.className = 'history-row';
+
+    const name = document.createElement('input');
+    name.className = 'history-name';
+    name.value = entry.name;
+    name.title = 'Rename';
+    name.addEventListener('change', () => {
+        const value = name.value.trim();
+        if (!value) { name.value = entry.name; return; }
+        updateHistoryEntry(entry.id, { name: value }).then(() => { entry.name = value; });
+    });
+
+    const download = document.createElement('button');
+    download.className = 'history-action';
+    download.title = 'Download';
+    download.textContent = '\u2913';
+    download.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ action: "historyDownload", id: entry.id }, res => {
+            if (!res?.ok) showStatus("Download failed: " + (res?.error || "unknown error"), "error");
+        });
+    });
+
+    const remove = document.createElement('button');
+    remove.className = 'history-action danger';
+    remove.title = 'Delete';
+    remove.textContent = '\u2715';
+    remove.addEventListener('click', async () => {
+        await deleteHistoryEntry(entry.id);
+        renderHistory();
+    });
+
+    row.append(name, download, remove);
+
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    meta.textContent = [
+        entry.craftName, entry.board, entry.firmwareVersion,
+        formatDate(entry.timestamp), formatSize(entry.size || 0),
+        `${entry.files?.length || 0} files`,
+    ].filter(Boolean).join(' \u00B7 ');
+    meta.title = (entry.files || []).join('\n');
+
+    const tags = document.createElement('input');
+    tags.className = 'history-tags';
+    tags.placeholder = 'Tags (comma separated)';
+    tags.value = (entry.tags || []).join(', ');
+    tags.addEventListener('change', () => {
+        const list = tags.value.split(',').map(t => t.trim()).filter(Boolean);
+        updateHistoryEntry(entry.id, { tags: list });
+    });
+
+    item.append(row, meta, tags);
+    return item;
+}
+
+async function renderHistory() {
+    let entries = [];
+    try {
+        entries = await listHistoryEntries();
+    } catch (e) {
+        console.error("History unavailable:", e);
+    }
+    historyCount.textContent = entries.length;
+    historyList.innerHTML = '';
+    if (entries.length === 0) {
+        historyList.innerHTML = '<div class="history-empty">No backups yet.</div>';
+        return;
+    }
+    entries.forEach(entry => historyList.appendChild(buildHistoryItem(entry)));
+}
+
+renderHistory();
+
+// ─── Restore (own page) ─────────────────────────────────────────────
+const restoreToggle = document.getElementById('restoreToggle');
+const restoreBody = document.getElementById('restoreBody');
+
+restoreToggle.addEventListener('click', () => {
+    const isOpen = restoreBody.classList.toggle('open');
+    restoreToggle.querySelector('.tab-selection-arrow').textContent = isOpen ? '\u25BE' : '\u25B8';
+});
+
+// The file dialog and the two-step confirmation need a real page – the
+// popup closes as soon as the dialog takes focus
+document.getElementById('openRestoreBtn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('restore.html') });
+});
+
+// ─── Compare Backups ────────────────────────────────────────────────
+const compareToggle = document.getElementById('compareToggle');
+const compareBody = document.getElementById('compareBody');
+
+compareToggle.addEventListener('click', () => {
+    const isOpen = compareBody.classList.toggle('open');
+    compareToggle.querySelector('.tab-selection-arrow').textContent = isOpen ? '\u25BE' : '\u25B8';
+});
+
+// Two file dialogs in a row need a real page – the popup closes with the first
+document.getElementById('openCompareBtn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('compare.html') });
+});
+
+// ─── USB Backup (Web Serial page) ───────────────────────────────────
+const serialToggle = document.getElementById('serialToggle');
+const serialBody = document.getElementById('serialBody');
+
+serialToggle.addEventListener('click', () => {
+    const isOpen = serialBody.classList.toggle('open');
+    serialToggle.querySelector('.tab-selection-arrow').textContent = isOpen ? '\u25BE' : '\u25B8';
+});
+
+// Web Serial's port chooser needs a real page – the popup closes with it
+document.getElementById('openSerialBtn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('serial.html') });
+});
+
+// ─── Diagnostics ────────────────────────────────────────────────────
+const diagnosticsToggle = document.getElementById('diagnosticsToggle');
+const diagnosticsBody = document.getElementById('diagnosticsBody');
+const diagnosticsBtn = document.getElementById('diagnosticsBtn');
+
+diagnosticsToggle.addEventListener('click', () => {
+    const isOpen = diagnosticsBody.classList.toggle('open');
+    diagnosticsToggle.querySelector('.tab-selection-arrow').textContent = isOpen ? '\u25BE' : '\u25B8';
+});
+
+diagnosticsBtn.addEventListener('click', async () => {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.url?.includes("app.betaflight.com")) {
+        showStatus("Open the Betaflight Configurator first!", "error");
+        return;
+    }
+
+    diagnosticsBtn.disabled = true;
+    showStatus("Running diagnostics...", "running");
+    try {
+        const res = await chrome.runtime.sendMessage({ action: "runDiagnostics", tabId: tab.id });
+        if (res?.ok) showStatus(`Diagnostics report saved: ${res.filename}`, "success");
+        else showStatus("Diagnostics failed: " + (res?.error || "no response"), "error");
+    } finally {
+        diagnosticsBtn.disabled = false;
+    }
+});
+
 // ─── Live updates from background ───────────────────────────────────
 chrome.runtime.onMessage.addListener((request) => {
     if (request.action === "backupStatusUpdate") {
@@ -222,9 +609,12 @@ chrome.runtime.onMessage.addListener((request) => {
     } else if (request.action === "backupComplete") {
         showStatus("Backup completed!", "success");
         setRunningUI(false);
+        renderHistory();
+        refreshResumeState();
     } else if (request.action === "backupError") {
         showStatus(request.message, "error");
         setRunningUI(false);
+        refreshResumeState();
     }
 });
 
@@ -232,9 +622,23 @@ function setOptionsDisabled(disabled) {
     optScreenshots.disabled = disabled;
     optCli.disabled = disabled;
     optProfiles.disabled = disabled;
-    tabGrid.querySelectorAll('input').forEach(c => c.disabled = disabled);
-    tabSelectionToggle.style.opacity = disabled ? '0.4' : '';
-    tabSelectionToggle.style.pointerEvents = disabled ? 'none' : '';
+    optFilename.disabled = disabled;
+    optPartial.disabled = disabled;
+    optImageFormat.disabled = disabled;
+    optCaptureEngine.disabled = disabled;
+    updateImageQuality();
+    if (!disabled) {
+        // Back to what the options allow (no tab list without screenshots, ...)
+        updateTabSelectionDisabled();
+        updateCliCommandsDisabled();
+        return;
+    }
+    tabGrid.querySelectorAll('input').forEach(c => c.disabled = true);
+    tabSelectionToggle.style.opacity = '0.4';
+    tabSelectionToggle.style.pointerEvents = 'none';
+    cliCommandList.querySelectorAll('input, button').forEach(c => c.disabled = true);
+    cliCommandsToggle.style.opacity = '0.4';
+    cliCommandsToggle.style.pointerEvents = 'none';
 }
 
 function showStatus(msg, type, progress) {
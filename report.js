@@ -0,0 +1,144 @@
+// ============================================================================
+// Betaflight Backup Extension – HTML Report
+// Builds the index.html placed at the root of every backup ZIP: captured tabs
+// with their screenshots (relative paths), searchable CLI output, firmware
+// summary and warnings. Works offline from the extracted archive.
+// Requires compare.js (escapeHtml).
+// ============================================================================
+
+var REPORT_IMAGE_EXT = /\.(jpe?g|png|webp|svg)$/i;
+
+// data: {
+//   title, summary: [[label, value]],
+//   tabs: [{ label, name, folder, images: [path], files: [path] }],
+//   cli: [{ name, path, text }], warnings: [{ message, timestamp }],
+//   skipped: [{ label, cls, reason }],
+//   partial: { message } | null – failed run, shipped as a partial ZIP
+// }
+function buildBackupReportHtml(data) {
+    const esc = escapeHtml;
+
+    const summaryRows = data.summary
+        .filter(([, value]) => value != null && value !== '')
+        .map(([label, value]) => `<tr><th>${esc(label)}</th><td>${esc(value)}</td></tr>`)
+        .join('\n');
+
+    const nav = data.tabs.map(t => `<a href="#${esc(t.folder)}">${esc(t.name)}</a>`)
+        .concat(data.cli.length ? ['<a href="#cli">CLI</a>'] : [])
+        .concat(data.warnings.length ? ['<a href="#warnings">Warnings</a>'] : [])
+        .join('\n');
+
+    const tabSections = data.tabs.map(t => {
+        const images = t.images.map(path =>
+            `<figure><a href="${esc(path)}"><img src="${esc(path)}" loading="lazy" alt="${esc(path)}"></a>` +
+            `<figcaption>${esc(path.split('/').pop())}</figcaption></figure>`).join('\n');
+        const files = t.files.length
+            ? `<p class="files">${t.files.map(p => `<a href="${esc(p)}">${esc(p.split('/').pop())}</a>`).join(' · ')}</p>`
+            : '';
+        return `<section id="${esc(t.folder)}">\n<h2>${esc(t.name)}` +
+            (t.label && t.label !== t.name ? ` <small>${esc(t.label)}</small>` : '') +
+            `</h2>\n${files}\n${images || '<p class="empty">No screenshots.</p>'}\n</section>`;
+    }).join('\n');
+
+    const cliSection = data.cli.length ? `<section id="cli">
+<h2>CLI</h2>
+<input type="search" id="cliSearch" placeholder="Search CLI output (e.g. serialrx, p_roll)">
+<span id="cliHits"></span>
+${data.cli.map(c => `<details>
+<summary>${esc(c.name)} <a href="${esc(c.path)}">raw</a></summary>
+<pre class="cli">${esc(c.text)}</pre>
+</details>`).join('\n')}
+</section>` : '';
+
+    const warningRows = data.warnings
+        .map(w => `<tr><td>${esc(w.timestamp || '')}</td><td>${esc(w.message)}</td></tr>`).join('\n');
+    const warningSection = data.warnings.length
+        ? `<section id="warnings">\n<h2>Warnings</h2>\n<table>\n${warningRows}\n</table>\n</section>`
+        : '';
+
+    const skippedRows = data.skipped
+        .map(s => `<tr><td>${esc(s.label || s.cls)}</td><td>${esc(s.reason)}</td></tr>`).join('\n');
+    const skippedSection = data.skipped.length
+        ? `<section>\n<h2>Skipped Tabs</h2>\n<table>\n${skippedRows}\n</table>\n</section>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${esc(data.title)}</title>
+<style>
+    body { font-family: 'Segoe UI', system-ui, sans-serif; background: #0f0f1a; color: #c8c8d4; margin: 0; }
+    header { padding: 16px 24px; border-bottom: 1px solid rgba(255, 171, 64, 0.15); }
+    h1 { color: #fff; font-size: 20px; margin: 0 0 8px; }
+    h2 { color: #ffab40; font-size: 16px; }
+    h2 small { color: #777; font-weight: normal; font-size: 12px; }
+    nav { position: sticky; top: 0; background: #0f0f1a; padding: 8px 24px; display: flex; flex-wrap: wrap; gap: 10px;
+          border-bottom: 1px solid rgba(255, 255, 255, 0.05); }
+    nav a, a { color: #ffab40; text-decoration: none; font-size: 13px; }
+    main { padding: 0 24px 40px; }
+    table { border-collapse: collapse; font-size: 13px; }
+    th, td { text-align: left; padding: 3px 10px 3px 0; vertical-align: top; }
+    th { color: #999; font-weight: 600; }
+    figure { margin: 0 0 16px; }
+    figure img { max-width: 100%; border: 1px solid rgba(255, 255, 255, 0.08); }
+    figcaption { font-size: 11px; color: #777; }
+    .empty { color: #666; font-size: 13px; }
+    details { margin: 6px 0; }
+    summary { cursor: pointer; color: #d0d0dc; }
+    pre.cli { background: rgba(0, 0, 0, 0.35); padding: 8px; font-size: 12px; overflow: auto; max-height: 600px; }
+    mark { background: #ff9800; color: #000; }
+    #cliSearch { width: 320px; padding: 5px 8px; background: #1a1a2a; color: #d0d0dc; border: 1px solid #333; border-radius: 4px; }
+    #cliHits { margin-left: 8px; font-size: 12px; color: #999; }
+    .partial { color: #ef5350; font-weight: 600; margin: 0 0 8px; }
+</style>
+</head>
+<body>
+<header>
+<h1>${esc(data.title)}</h1>
+${data.partial ? `<p class="partial">Partial backup – ${esc(data.partial.message)} See errors.txt.</p>` : ''}
+<table>
+${summaryRows}
+</table>
+</header>
+<nav>
+${nav}
+</nav>
+<main>
+${tabSections}
+${cliSection}
+${warningSection}
+${skippedSection}
+</main>
+<script>
+// Filter CLI output to matching lines and open the sections that contain them
+(function () {
+    var input = document.getElementById('cliSearch');
+    if (!input) return;
+    var blocks = Array.prototype.slice.call(document.querySelectorAll('pre.cli'));
+    var originals = blocks.map(function (pre) { return pre.textContent; });
+    var escapeText = function (s) {
+        return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    };
+    input.addEventListener('input', function () {
+        var q = input.value.trim().toLowerCase();
+        var hits = 0;
+        blocks.forEach(function (pre, i) {
+            if (!q) { pre.textContent = originals[i]; return; }
+            var lines = originals[i].split('\\n').filter(function (l) { return l.toLowerCase().indexOf(q) !== -1; });
+            hits += lines.length;
+            pre.innerHTML = lines.map(function (l) {
+                var at = l.toLowerCase().indexOf(q);
+                return escapeText(l.slice(0, at)) + '<mark>' + escapeText(l.slice(at, at + q.length)) + '</mark>' +
+                    escapeText(l.slice(at + q.length));
+            }).join('\\n');
+            pre.parentNode.open = lines.length > 0;
+        });
+        document.getElementById('cliHits').textContent = q ? hits + ' matching lines' : '';
+    });
+})();
+</script>
+</body>
+</html>
+`;
+}
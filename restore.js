@@ -0,0 +1,152 @@
+// ============================================================================
+// Betaflight Backup Extension – Restore Page
+// Picks a backup ZIP, previews the diff all commands and, after a two-step
+// confirmation, has the configurator tab replay them (content.js). A page
+// of its own because the action popup closes as soon as the file dialog
+// takes focus, losing the selection and the armed button.
+// ============================================================================
+
+document.getElementById('versionLabel').textContent = 'v' + chrome.runtime.getManifest().version;
+
+const restoreFile = document.getElementById('restoreFile');
+const restorePreview = document.getElementById('restorePreview');
+const restoreConfirm = document.getElementById('restoreConfirm');
+const restoreBtn = document.getElementById('restoreBtn');
+const stopBtn = document.getElementById('stopRestoreBtn');
+const statusEl = document.getElementById('status');
+const statusText = document.getElementById('statusText');
+const progressBar = document.getElementById('progressBar');
+const progressFill = document.getElementById('progressFill');
+const progressLabel = document.getElementById('progressLabel');
+const restoreLog = document.getElementById('restoreLog');
+const RESTORE_BTN_LABEL = restoreBtn.textContent;
+
+let restoreDiffText = null;
+let restoreArmedTimer = null;
+let restoreRunning = false;
+
+function log(message) {
+    restoreLog.textContent += `${new Date().toLocaleTimeString()}  ${message}\n`;
+    restoreLog.scrollTop = restoreLog.scrollHeight;
+}
+
+function showStatus(msg, type, progress) {
+    statusText.textContent = msg;
+    statusEl.className = 'status' + (type ? ' ' + type : '');
+
+    const isRunning = type === 'running';
+    progressBar.classList.toggle('visible', isRunning);
+
+    if (isRunning && progress && progress.total > 0) {
+        progressFill.style.width = Math.round((progress.current / progress.total) * 100) + '%';
+        progressFill.style.animation = 'none';
+        progressLabel.textContent = `${progress.current} / ${progress.total}`;
+    } else if (isRunning) {
+        progressFill.style.width = '';
+        progressFill.style.animation = '';
+        progressLabel.textContent = '';
+    }
+}
+
+function setRunningUI(running) {
+    restoreRunning = running;
+    restoreBtn.style.display = running ? 'none' : '';
+    stopBtn.style.display = running ? '' : 'none';
+    stopBtn.disabled = false;
+    restoreFile.disabled = running;
+    restoreConfirm.disabled = running;
+}
+
+function disarmRestore() {
+    clearTimeout(restoreArmedTimer);
+    restoreArmedTimer = null;
+    restoreBtn.textContent = RESTORE_BTN_LABEL;
+    restoreBtn.disabled = !(restoreDiffText && restoreConfirm.checked);
+}
+
+// The configurator tab to restore into – the most recently used one
+async function findConfiguratorTab() {
+    const tabs = await chrome.tabs.query({ url: 'https://app.betaflight.com/*' });
+    return tabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0))[0] || null;
+}
+
+restoreFile.addEventListener('change', async () => {
+    restoreDiffText = null;
+    restorePreview.style.display = 'none';
+    disarmRestore();
+    const file = restoreFile.files[0];
+    if (!file) return;
+
+    try {
+        const { text, partial } = await readBackupDiffAll(file);
+        if (partial) throw new Error("this is a partial backup (_PARTIAL) – restore only complete backups");
+        const problems = findRestoreProblems(text);
+        if (problems.length > 0) throw new Error(`diff_all.txt is incomplete: ${problems.join('; ')}`);
+        const model = parseCliConfig(text);
+        const commands = buildRestoreCommands(text);
+        if (commands.length === 0) throw new Error("no CLI commands in diff_all.txt");
+
+        const summary = [model.craftName, model.boardName,
+            model.header.version && `${model.header.firmware} ${model.header.version}`].filter(Boolean).join(' · ');
+        restorePreview.textContent = `# ${summary || file.name}\n# ${commands.length} commands will be applied:\n\n` +
+            commands.join('\n');
+        restorePreview.style.display = '';
+        restoreDiffText = text;
+        showStatus("Review the commands, then confirm.");
+    } catch (e) {
+        showStatus("Cannot restore: " + e.message, "error");
+    }
+    disarmRestore();
+});
+
+restoreConfirm.addEventListener('change', disarmRestore);
+
+// Two-step button: first click arms it for 5s, second click starts the restore
+restoreBtn.addEventListener('click', async () => {
+    if (!restoreDiffText || !restoreConfirm.checked) return;
+
+    if (!restoreArmedTimer) {
+        restoreBtn.textContent = 'Click again to overwrite the FC';
+        restoreArmedTimer = setTimeout(disarmRestore, 5000);
+        return;
+    }
+    disarmRestore();
+
+    const tab = await findConfiguratorTab();
+    if (!tab) {
+        showStatus("Open the Betaflight Configurator and connect the flight controller first!", "error");
+        return;
+    }
+
+    restoreConfirm.checked = false;
+    disarmRestore();
+    restoreLog.textContent = '';
+    setRunningUI(true);
+    showStatus("Starting restore...", "running");
+    chrome.runtime.sendMessage({ action: "startRestore", tabId: tab.id, diffText: restoreDiffText });
+});
+
+stopBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: "stopBackup" });
+    showStatus("Stopping restore...", "running");
+    stopBtn.disabled = true;
+});
+
+// ─── Live updates from background ───────────────────────────────────
+chrome.runtime.onMessage.addListener((request) => {
+    if (!restoreRunning) return;
+    if (request.action === "backupStatusUpdate") {
+        log(request.message);
+        showStatus(request.message, "running", request.progress);
+    } else if (request.action === "backupComplete") {
+        log(request.message);
+        showStatus(request.message, "success");
+        setRunningUI(false);
+    } else if (request.action === "restoreRolledBack") {
+        log(`Sent before the restore stopped (discarded, not saved):\n    ${request.commands.join('\n    ')}`);
+    } else if (request.action === "backupError") {
+        log(`ERROR: ${request.message}`);
+        showStatus(request.message, "error");
+        setRunningUI(false);
+    }
+});
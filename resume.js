@@ -0,0 +1,67 @@
+// ============================================================================
+// Betaflight Backup Extension – Resumable Backups
+// Persists the files and tab cursor of the running backup to IndexedDB as
+// they arrive, so a run interrupted by a service worker restart, a lost
+// connection or Stop can continue from the last completed tab.
+// Used by the service worker only; one interrupted run is kept at a time.
+// ============================================================================
+
+var RESUME_DB_NAME = 'bfBackupResume';
+var RESUME_SESSION_STORE = 'session';
+var RESUME_FILE_STORE = 'files';
+var RESUME_SESSION_KEY = 'current';
+
+function openResumeDb() {
+    return new Promise((resolve, reject) => {
+        const req = indexedDB.open(RESUME_DB_NAME, 1);
+        req.onupgradeneeded = () => {
+            req.result.createObjectStore(RESUME_SESSION_STORE);
+            req.result.createObjectStore(RESUME_FILE_STORE, { keyPath: 'path' });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// Like historyTransaction, spanning both stores: `fn(tx)` returns the
+// request whose result is resolved once the transaction has committed
+async function resumeTransaction(mode, fn) {
+    const db = await openResumeDb();
+    try {
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction([RESUME_SESSION_STORE, RESUME_FILE_STORE], mode);
+            const req = fn(tx);
+            tx.oncomplete = () => resolve(req?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Resume transaction aborted'));
+        });
+    } finally {
+        db.close();
+    }
+}
+
+// session: { options, timestamp, startedAt, completedTabs, warnings, firmware, data, updatedAt }
+function saveResumeSession(session) {
+    return resumeTransaction('readwrite', tx =>
+        tx.objectStore(RESUME_SESSION_STORE).put({ ...session, updatedAt: Date.now() }, RESUME_SESSION_KEY));
+}
+
+function getResumeSession() {
+    return resumeTransaction('readonly', tx => tx.objectStore(RESUME_SESSION_STORE).get(RESUME_SESSION_KEY));
+}
+
+// file: { path, folderName, fileName, content, isBase64 } – path is "folder/file"
+function addResumeFile(file) {
+    return resumeTransaction('readwrite', tx => tx.objectStore(RESUME_FILE_STORE).put(file));
+}
+
+async function listResumeFiles() {
+    return (await resumeTransaction('readonly', tx => tx.objectStore(RESUME_FILE_STORE).getAll())) || [];
+}
+
+function clearResumeState() {
+    return resumeTransaction('readwrite', tx => {
+        tx.objectStore(RESUME_FILE_STORE).clear();
+        return tx.objectStore(RESUME_SESSION_STORE).clear();
+    });
+}
@@ -0,0 +1,202 @@
+// ============================================================================
+// Betaflight Backup Extension – Configurator Selector Profiles
+// Every CSS selector the content script uses to find its way around the
+// configurator, grouped per configurator generation. detectSelectorProfile()
+// picks the profile of the running configurator; lookups try that profile
+// first and then fall back through the others. Supporting a new configurator
+// release means adding (or adjusting) a profile here, not patching content.js.
+// Plain script – loaded before content.js (manifest + sendOrInject).
+// ============================================================================
+
+// Needed before a profile is known, so shared by all of them
+var CONFIGURATOR_VERSION_SELECTORS = ['#status-bar .version', '#logo .version', '.logo_text .version', '.version'];
+
+// versions: [from, to) – `to` null = open-ended. markers: elements that only
+// this generation renders, used when the version can't be read.
+var SELECTOR_PROFILES = [
+    {
+        id: 'web-2025',
+        label: 'Web configurator 2025.x',
+        versions: ['2025.0.0', null],
+        markers: ['.connection_button__link', '.xterm'],
+        selectors: {
+            connectButton: ['.connection_button__link'],
+            connectedIndicator: ['[class*="connect"][class*="active"]'],
+            navTabItems: ['ul.mode-connected > li'],
+            navTabLinks: ['ul.mode-connected > li > a.tabicon'],
+            tabLink: ['li.{tab} > a.tabicon'],
+            expertMode: ['input[name="expertModeCheckbox"]'],
+            statusBar: ['#status-bar'],
+            content: ['#content'],
+            subTabs: [
+                '#content .tab-container .tab',
+                '#content .tab_container .tab',
+                '#content .tab-container > div',
+                '#content .tab_container > div',
+                '.tab-content-header .tab',
+            ],
+            pidProfileSelect: [
+                'select[name="profile"]',
+                'select#pid_profile',
+                'select#pidProfile',
+                'select#pid-profile',
+                'select[name="pid_profile"]',
+                'select[name="pidProfile"]',
+            ],
+            rateProfileSelect: [
+                'select[name="rate_profile"]',
+                'select[name="rateProfile"]',
+                'select#rate_profile',
+                'select#rateProfile',
+                'select#rate-profile',
+            ],
+            // findSelect() heuristics when the profile selects above miss
+            contentSelects: ['#content select'],
+            namedSelect: ['#content select[name="{name}"]'],
+            classSelect: ['#content select.{cls}'],
+            settingSelect: ['#content select[data-setting*="{keyword}" i]'],
+            selectLabels: ['#content label, #content span, #content div'],
+            // "Preview for" selector of the OSD tab – display only, unlike osd_profile
+            osdProfileSelect: ['#content select.osdprofile-selector', '#content select#osdprofile-selector'],
+            // Active OSD profile (osd_profile) and the element list with one checkbox per OSD profile
+            osdActiveProfileSelect: ['#content select.osdprofile-active', '#content select#osdprofile-active'],
+            osdElementFields: ['#content .display-fields .switchable-field', '#content .display-fields > div'],
+            osdFieldToggles: ['input[type="checkbox"]'],
+            osdFieldLabel: ['label'],
+            osdTimers: ['#content .timers-container', '#content .osd_timers'],
+            osdWarnings: ['#content .warnings-container', '#content .osd_warnings'],
+            osdStats: ['#content .stats-container', '#content .osd_stats'],
+            cliTerminal: ['.xterm', '.terminal', '#terminal', '[class*="xterm"]'],
+            cliKeyboardTarget: ['.xterm-helper-textarea', 'textarea[aria-label]', '.xterm textarea', '.terminal textarea'],
+            cliInput: ['#content input.cliInput', '#content input[placeholder*="command" i]'],
+            cliOutput: ['#content .terminal-output', '#content pre'],
+            cliClear: ['#content a.clear', '#content button.clear'],
+        },
+    },
+    {
+        id: 'desktop-10',
+        label: 'Desktop configurator 10.x',
+        versions: ['10.0.0', '2025.0.0'],
+        markers: ['.connect_b', 'textarea[name="commands"]'],
+        selectors: {
+            connectButton: ['.connect_b a', '.connect_b button'],
+            navTabItems: ['#tabs ul.mode-connected > li', 'ul.mode-connected > li'],
+            navTabLinks: ['#tabs ul.mode-connected > li > a.tabicon', 'ul.mode-connected > li > a.tabicon'],
+            tabLink: ['#tabs li.{tab} > a.tabicon', 'li.{tab} > a.tabicon'],
+            expertMode: ['input[name="expertModeCheckbox"]'],
+            statusBar: ['#status-bar'],
+            content: ['#content'],
+            subTabs: ['#content .tab-container .tab', '#content .tab_container .tab'],
+            pidProfileSelect: ['select[name="profile"]'],
+            rateProfileSelect: ['select[name="rate_profile"]'],
+            cliInput: ['#content textarea[name="commands"]', '#content input[placeholder*="befehl" i]'],
+            cliOutput: ['#content .window .wrapper', '.tab_cli .window .wrapper', '.window .wrapper'],
+            cliClear: ['#content a.clear'],
+        },
+    },
+    {
+        // Last resort: broad patterns that may match unknown future layouts
+        id: 'generic',
+        label: 'Unknown configurator',
+        versions: null,
+        markers: [],
+        selectors: {
+            connectButton: ['.connect-button'],
+            subTabs: [
+                '#content [role="tablist"] [role="tab"]',
+                '#content .subtab',
+                '#content .sub-tab',
+                '#content .tabs .tab',
+                '#content .tabs > a',
+                '#content .tabs > div',
+                '#content .tabs > button',
+            ],
+            pidProfileSelect: ['select.pid_profile', 'select.pid-profile', 'select.pidprofile'],
+            rateProfileSelect: ['select.rate_profile', 'select.rate-profile', 'select.rateprofile'],
+            cliInput: [
+                '#content input[placeholder*="cli" i]',
+                '#content input[type="text"]',
+                '#content textarea:not(.xterm-helper-textarea)',
+            ],
+        },
+    },
+];
+
+// Set by useSelectorProfile(); null = plain fallback order
+var activeSelectorProfile = null;
+
+// "2025.12.2" vs "10.10.0" – numeric per component, missing parts count as 0
+function compareVersions(a, b) {
+    const pa = String(a).split(/[.-]/).map(n => parseInt(n, 10) || 0);
+    const pb = String(b).split(/[.-]/).map(n => parseInt(n, 10) || 0);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) - (pb[i] || 0);
+    }
+    return 0;
+}
+
+// Configurator version as shown in the status bar / logo (e.g. "2025.12.2")
+function readConfiguratorVersion(doc) {
+    for (const sel of CONFIGURATOR_VERSION_SELECTORS) {
+        const text = doc.querySelector(sel)?.textContent || '';
+        const m = text.match(/\d+\.\d+(?:\.\d+)?(?:[-.][\w.]+)?/);
+        if (m) return m[0];
+    }
+    return null;
+}
+
+function versionInRange(version, [from, to]) {
+    return compareVersions(version, from) >= 0 && (to == null || compareVersions(version, to) < 0);
+}
+
+// Version first, then marker elements, then the newest profile
+function detectSelectorProfile(doc) {
+    const version = readConfiguratorVersion(doc);
+    if (version) {
+        const byVersion = SELECTOR_PROFILES.find(p => p.versions && versionInRange(version, p.versions));
+        if (byVersion) return { profile: byVersion, version, reason: 'version' };
+    }
+    const byMarker = SELECTOR_PROFILES.find(p => p.markers.some(sel => doc.querySelector(sel)));
+    if (byMarker) return { profile: byMarker, version, reason: 'markers' };
+    return { profile: SELECTOR_PROFILES[0], version, reason: 'default' };
+}
+
+function useSelectorProfile(profile) {
+    activeSelectorProfile = profile;
+}
+
+// Selectors for `key`: active profile first, then every other profile in
+// order, without duplicates. `vars` fills placeholders like {tab}.
+function selectorChain(key, vars = {}) {
+    const profiles = activeSelectorProfile
+        ? [activeSelectorProfile, ...SELECTOR_PROFILES.filter(p => p !== activeSelectorProfile)]
+        : SELECTOR_PROFILES;
+    const chain = [];
+    for (const profile of profiles) {
+        for (const sel of profile.selectors[key] || []) {
+            const filled = sel.replace(/\{(\w+)\}/g, (_, name) => vars[name] ?? '');
+            if (!chain.includes(filled)) chain.push(filled);
+        }
+    }
+    return chain;
+}
+
+// First element matched by the chain (optionally also passing `accept`),
+// below `root` when given
+function queryFirst(key, { vars, accept, root = document } = {}) {
+    for (const sel of selectorChain(key, vars)) {
+        const el = Array.from(root.querySelectorAll(sel)).find(e => !accept || accept(e));
+        if (el) return el;
+    }
+    return null;
+}
+
+// All elements of the first selector in the chain that yields at least
+// `min` accepted elements – for lists such as sub-tabs or navigation tabs
+function queryAllFirst(key, { vars, accept, min = 1, root = document } = {}) {
+    for (const sel of selectorChain(key, vars)) {
+        const els = Array.from(root.querySelectorAll(sel)).filter(e => !accept || accept(e));
+        if (els.length >= min) return { elements: els, selector: sel };
+    }
+    return { elements: [], selector: null };
+}
@@ -0,0 +1,190 @@
+// ============================================================================
+// Betaflight Backup Extension – USB Backup Page
+// Backs up over Web Serial (msp.js) instead of driving the configurator UI.
+// The ZIP itself is still built by the service worker: this page starts a
+// run, feeds it CLI files via saveFile and finishes with extractionComplete.
+// ============================================================================
+
+document.getElementById('versionLabel').textContent = 'v' + chrome.runtime.getManifest().version;
+
+const btn = document.getElementById('startBackupBtn');
+const stopBtn = document.getElementById('stopBackupBtn');
+const statusEl = document.getElementById('status');
+const statusText = document.getElementById('statusText');
+const progressBar = document.getElementById('progressBar');
+const progressFill = document.getElementById('progressFill');
+const progressLabel = document.getElementById('progressLabel');
+const optBaud = document.getElementById('optBaud');
+const optSimulate = document.getElementById('optSimulate');
+const serialLog = document.getElementById('serialLog');
+
+let aborted = false;
+let keepaliveInterval = null;
+
+function log(message) {
+    serialLog.textContent += `${new Date().toLocaleTimeString()}  ${message}\n`;
+    serialLog.scrollTop = serialLog.scrollHeight;
+}
+
+// Goes through the background like content-script status, so warnings end
+// up in the manifest and the popup shows progress too
+function setStatus(message, progress) {
+    log(message);
+    chrome.runtime.sendMessage({ action: "setStatus", message, progress }).catch(() => {});
+}
+
+function saveToZip(folderName, fileName, content) {
+    return chrome.runtime.sendMessage({ action: "saveFile", folderName, fileName, content, isBase64: false });
+}
+
+function setRunningUI(running) {
+    btn.style.display = running ? 'none' : '';
+    stopBtn.style.display = running ? '' : 'none';
+    stopBtn.disabled = false;
+    optBaud.disabled = running;
+    optSimulate.disabled = running;
+}
+
+function showStatus(msg, type, progress) {
+    statusText.textContent = msg;
+    statusEl.className = 'status' + (type ? ' ' + type : '');
+
+    const isRunning = type === 'running';
+    progressBar.classList.toggle('visible', isRunning);
+
+    if (isRunning && progress && progress.total > 0) {
+        progressFill.style.width = Math.round((progress.current / progress.total) * 100) + '%';
+        progressFill.style.animation = 'none';
+        progressLabel.textContent = `${progress.current} / ${progress.total}`;
+    } else if (isRunning) {
+        progressFill.style.width = '';
+        progressFill.style.animation = '';
+        progressLabel.textContent = '';
+    }
+}
+
+// Same preferences as the popup; screenshots don't exist on this path
+async function getSerialOptions() {
+    const { backupOptions, cliCommands } = await chrome.storage.local.get(['backupOptions', 'cliCommands']);
+    return {
+        screenshots: false,
+        cli: true,
+        profiles: false,
+        filenameTemplate: backupOptions?.filenameTemplate || '',
+        selectedTabs: [],
+        cliCommands: (cliCommands || CLI_COMMAND_PRESET).filter(c => c.on && isReadOnlyCliCommand(c.cmd)),
+        serial: { baudRate: Number(optBaud.value), simulated: optSimulate.checked },
+    };
+}
+
+// ─── Backup over Web Serial ─────────────────────────────────────────
+async function runSerialBackup() {
+    const options = await getSerialOptions();
+    if (options.cliCommands.length === 0) throw new Error("Enable at least one CLI command in the popup!");
+
+    let port;
+    if (options.serial.simulated) {
+        port = createSimulatedSerialPort();
+    } else {
+        if (!navigator.serial) throw new Error("Web Serial is not available in this browser.");
+        port = await navigator.serial.requestPort();
+    }
+    await port.open({ baudRate: options.serial.baudRate });
+    const link = createSerialLink(port);
+    let started = false;
+
+    try {
+        setStatus("Reading board info over MSP...");
+        const msp = await readMspInfo(link);
+        log(`${msp.fcVariant || '?'} ${msp.fcVersion || '?'} on ${msp.board?.boardName || msp.board?.targetName || 'unknown board'} (MSP API ${msp.apiVersion})`);
+
+        const { ok } = await chrome.runtime.sendMessage({ action: "startSerialBackup", options });
+        if (!ok) throw new Error("Backup is already running.");
+        started = true;
+
+        setStatus("Entering CLI mode...");
+        await link.enterCli();
+
+        const total = options.cliCommands.length;
+        for (const [i, { cmd, timeout }] of options.cliCommands.entries()) {
+            if (aborted) return;
+            setStatus(`CLI: '${cmd}'...`, { current: i + 1, total });
+            let { output, complete } = await link.cli(cmd, timeout);
+            if (!complete && output.trim()) {
+                setStatus(`WARNING: '${cmd}' output is TRUNCATED (no CLI prompt after ${timeout / 1000}s).`);
+                output = `# WARNING: output truncated – no CLI prompt after ${timeout / 1000}s\n${output}`;
+            }
+            if (output.trim()) {
+                await saveToZip("CLI", cliCommandFileName(cmd), output);
+                setStatus(`'${cmd}' saved (${(output.length / 1024).toFixed(1)} KB).`);
+            } else {
+                setStatus(`WARNING: No output for '${cmd}'.`);
+            }
+        }
+        if (aborted) return;
+
+        // Leaving the CLI reboots the FC – nothing was changed, nothing is saved
+        await link.exitCli();
+        chrome.runtime.sendMessage({
+            action: "extractionComplete",
+            info: {
+                source: 'serial',
+                configuratorVersion: null,
+                msp,
+                firmware: { version: msp.fcVersion, target: msp.board?.targetName || null },
+                tabs: { captured: [], skipped: [] },
+            },
+        });
+    } catch (e) {
+        if (started && !aborted) chrome.runtime.sendMessage({ action: "extractionError", message: e.message });
+        throw e;
+    } finally {
+        // Also after a stop or an error: never leave the FC in the CLI or the port held
+        await link.exitCli().catch(e => console.warn('[BF-Backup] Leaving CLI:', e.message));
+        await link.close().catch(e => console.warn('[BF-Backup] Closing serial port:', e.message));
+    }
+}
+
+// ─── Start / Stop ───────────────────────────────────────────────────
+btn.addEventListener('click', async () => {
+    aborted = false;
+    serialLog.textContent = '';
+    setRunningUI(true);
+    showStatus("Connecting...", "running");
+    keepaliveInterval = setInterval(() => {
+        chrome.runtime.sendMessage({ action: "keepalive" }).catch(() => {});
+    }, 20000);
+
+    try {
+        await runSerialBackup();
+    } catch (e) {
+        log(`ERROR: ${e.message}`);
+        showStatus(e.message, "error");
+        setRunningUI(false);
+    } finally {
+        clearInterval(keepaliveInterval);
+    }
+});
+
+stopBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: "stopBackup" });
+    showStatus("Stopping backup...", "running");
+    stopBtn.disabled = true;
+});
+
+// ─── Live updates from background ───────────────────────────────────
+chrome.runtime.onMessage.addListener((request) => {
+    if (request.action === "abortBackup") {
+        aborted = true;
+    } else if (request.action === "backupStatusUpdate") {
+        showStatus(request.message, "running", request.progress);
+    } else if (request.action === "backupComplete") {
+        log(request.message);
+        showStatus(request.message, "success");
+        setRunningUI(false);
+    } else if (request.action === "backupError") {
+        log(`ERROR: ${request.message}`);
+        showStatus(request.message, "error");
+        setRunningUI(false);
+    }
+});
@@ -0,0 +1,211 @@
+// ============================================================================
+// Betaflight Backup Extension – Simulated Flight Controller
+// Stands in for a Web Serial SerialPort and answers MSP and the CLI the way
+// Betaflight 4.5 does, so the USB backup path can be exercised without
+// hardware ("Simulated flight controller" on the USB backup page).
+// Requires msp.js.
+// ============================================================================
+
+var SIM_FC_DEFAULTS = {
+    apiVersion: [0, 1, 46],
+    variant: 'BTFL',
+    version: [4, 5, 1],
+    boardIdentifier: 'S7X2',
+    targetName: 'STM32F7X2',
+    boardName: 'SPEEDYBEEF7V3',
+    manufacturerId: 'SPBE',
+    craftName: 'SimQuad',
+    buildDate: 'Jul  7 2024',
+    buildTime: '03:55:52',
+    gitHash: '77d01ba',
+    chunkSize: 64,      // bytes per read, like a USB CDC packet
+    latencyMs: 5,
+    cli: {},            // extra/overridden CLI responses: command -> text
+};
+
+function simFcVersionLine(cfg) {
+    const [, major, minor] = cfg.apiVersion;
+    return `# Betaflight / ${cfg.targetName} (${cfg.boardIdentifier}) ${cfg.version.join('.')} ` +
+        `${cfg.buildDate} / ${cfg.buildTime} (${cfg.gitHash}) MSP API: ${major}.${minor}`;
+}
+
+// A small but realistic config; `dump all` adds the defaults diff leaves out
+function simFcConfig(cfg, dump) {
+    const lines = [
+        '# version', simFcVersionLine(cfg), '',
+        '# start the command batch', 'batch start', '',
+        '# reset configuration to default settings', 'defaults nosave', '',
+        `board_name ${cfg.boardName}`, `manufacturer_id ${cfg.manufacturerId}`,
+        'mcu_id 003b00283231510c33383838', 'signature ', '',
+        `# name: ${cfg.craftName}`, '',
+        '# feature', 'feature -AIRMODE', 'feature RX_SERIAL', 'feature GPS', 'feature TELEMETRY', 'feature OSD', '',
+        '# serial', 'serial 20 1 115200 57600 0 115200', 'serial 0 64 115200 57600 0 115200',
+        'serial 1 2 115200 57600 0 115200', ...(dump ? ['serial 2 0 115200 57600 0 115200'] : []), '',
+        ...(dump ? ['# resource', 'resource BEEPER 1 C15', 'resource MOTOR 1 B00', 'resource MOTOR 2 B01',
+            'resource SERIAL_TX 1 A09', 'resource SERIAL_TX 2 A02', 'resource SERIAL_RX 1 A10',
+            'resource SERIAL_RX 2 A03', 'resource LED_STRIP 1 NONE', ''] : []),
+        '# map', 'map TAER1234', '',
+        '# vtxtable', 'vtxtable bands 2', 'vtxtable channels 8',
+        'vtxtable band 1 BOSCAM_A A FACTORY 5865 5845 5825 5805 5785 5765 5745 5725',
+        'vtxtable band 2 RACEBAND R CUSTOM 5658 5695 5732 5769 5806 5843 5880 5917',
+        'vtxtable powerlevels 3', 'vtxtable powervalues 25 200 500', 'vtxtable powerlabels 25 200 500', '',
+        '# aux', 'aux 0 0 0 1700 2100 0 0', 'aux 1 1 1 1300 2100 0 0', 'aux 2 13 0 900 900 0 1',
+        ...(dump ? ['aux 3 0 0 900 900 0 0'] : []), '',
+        '# adjrange', 'adjrange 0 0 2 1700 2100 12 2 0 0', ...(dump ? ['adjrange 1 0 0 900 900 0 0 0 0'] : []), '',
+        '# master', `set craft_name = ${cfg.craftName}`, 'set serialrx_provider = CRSF',
+    ];
+    if (dump) lines.push('set gyro_lpf1_static_hz = 250', 'set dshot_bidir = ON', 'set motor_pwm_protocol = DSHOT600');
+    // OSD: battery + RSSI in profile 1, craft name in profile 2, GPS speed hidden
+    lines.push('set vcd_video_system = PAL', 'set osd_vbat_pos = 2465', 'set osd_rssi_pos = 2081',
+        'set osd_craft_name_pos = 4362');
+    if (dump) lines.push('set osd_gps_speed_pos = 234', 'set osd_profile = 1', 'set osd_profile_1_name = RACE');
+    lines.push('set bat_capacity = 1300', 'set ibata_scale = 386');
+    if (dump) {
+        lines.push('set vbat_warning_cell_voltage = 350', 'set vbat_min_cell_voltage = 330', 'set vbat_scale = 110',
+            'set battery_meter = ADC', 'set current_meter = ADC', 'set ibata_offset = 0',
+            'set vtx_band = 5', 'set vtx_channel = 1', 'set vtx_power = 1');
+    }
+    for (const n of dump ? [0, 1, 2] : [0]) {
+        lines.push('', `profile ${n}`, '', `# profile ${n}`, `set p_roll = ${45 + n}`, 'set i_roll = 80', 'set d_roll = 40');
+        if (dump) lines.push(`set profile_name = PID${n + 1}`, 'set p_pitch = 47', 'set p_yaw = 45');
+    }
+    for (const n of dump ? [0, 1] : [0]) {
+        lines.push('', `rateprofile ${n}`, '', `# rateprofile ${n}`, 'set roll_rc_rate = 100', 'set roll_srate = 70');
+    }
+    lines.push('', '# restore original profile selection', 'profile 0', '',
+        '# restore original rateprofile selection', 'rateprofile 0', '',
+        '# save configuration', 'save');
+    return lines.join('\n');
+}
+
+// Commands a restore replays; like the firmware they print nothing when accepted
+var SIM_FC_WRITE_COMMANDS = [
+    'batch', 'defaults', 'board_name', 'manufacturer_id', 'mcu_id', 'signature', 'name', 'feature', 'serial',
+    'resource', 'map', 'vtxtable', 'aux', 'adjrange', 'profile', 'rateprofile', 'beeper', 'beacon',
+];
+
+// `set` is accepted (not stored) for every setting the simulated FC has
+function simFcSetResponse(cfg, args) {
+    const m = args.match(/^(\w+)\s*=\s*(.*)$/);
+    if (!m) return '###ERROR IN set: INVALID ARGUMENTS###';
+    if (!simFcConfig(cfg, true).includes(`\nset ${m[1]} = `)) return `###ERROR IN set: Invalid name: ${m[1]}###`;
+    return `${m[1]} set to ${m[2]}`;
+}
+
+function simFcCliResponse(cfg, cmd) {
+    if (cfg.cli[cmd] !== undefined) return cfg.cli[cmd];
+    const [name, ...args] = cmd.split(/\s+/);
+    if (name === 'set') return simFcSetResponse(cfg, args.join(' '));
+    if (SIM_FC_WRITE_COMMANDS.includes(name)) return '';
+    switch (cmd) {
+        case 'diff all': return simFcConfig(cfg, false);
+        case 'dump all': return simFcConfig(cfg, true);
+        case 'version': return simFcVersionLine(cfg);
+        case 'save': return 'Saving\nRebooting...';
+        case 'exit': return 'Leaving CLI mode, unsaved changes lost.\n\nRebooting...';
+        case 'status':
+            return `MCU F7X2 Clock=216MHz, Vref=3.30V, Core temp=41degC\n` +
+                `Board: ${cfg.manufacturerId}/${cfg.boardName}\nArming disable flags: RXLOSS CLI MSP`;
+        default:
+            return `###ERROR: UNKNOWN COMMAND, TRY 'HELP'###`;
+    }
+}
+
+// Looks like a SerialPort: open()/close(), readable/writable streams once open
+function createSimulatedSerialPort(overrides = {}) {
+    const cfg = { ...SIM_FC_DEFAULTS, ...overrides, cli: { ...SIM_FC_DEFAULTS.cli, ...overrides.cli } };
+    const encoder = new TextEncoder();
+    const bytesOf = (str) => Array.from(encoder.encode(str));
+    const lengthText = (str) => [str.length, ...bytesOf(str)];
+
+    const mspResponses = {
+        [MSP_API_VERSION]: () => cfg.apiVersion,
+        [MSP_FC_VARIANT]: () => bytesOf(cfg.variant),
+        [MSP_FC_VERSION]: () => cfg.version,
+        [MSP_BOARD_INFO]: () => [...bytesOf(cfg.boardIdentifier), 0, 0, 2, 0,
+            ...lengthText(cfg.targetName), ...lengthText(cfg.boardName), ...lengthText(cfg.manufacturerId)],
+        [MSP_BUILD_INFO]: () => bytesOf(cfg.buildDate + cfg.buildTime + cfg.gitHash),
+        [MSP_NAME]: () => bytesOf(cfg.craftName),
+    };
+
+    let controller = null;
+    let mode = 'msp';
+    let rx = [];        // MSP bytes received from the host
+    let line = '';      // CLI line being typed
+
+    const emit = (data) => {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        setTimeout(() => {
+            for (let i = 0; i < bytes.length; i += cfg.chunkSize) {
+                try { controller?.enqueue(bytes.slice(i, i + cfg.chunkSize)); } catch (e) { /* port closed */ }
+            }
+        }, cfg.latencyMs);
+    };
+
+    const handleMspFrame = (frame) => {
+        if (frame.direction !== '<' || !frame.ok) return;
+        const response = mspResponses[frame.code];
+        emit(response ? encodeMspFrame('>', frame.code, response()) : encodeMspFrame('!', frame.code));
+    };
+
+    const handleCliLine = (cmd) => {
+        if (!cmd) {
+            emit('\r\n# ');
+        } else if (cmd === 'exit' || cmd === 'save') {
+            // Both reboot the FC – back to MSP without a prompt
+            emit(`\r\n${simFcCliResponse(cfg, cmd).replace(/\n/g, '\r\n')}`);
+            mode = 'msp';
+        } else {
+            emit(`\r\n${simFcCliResponse(cfg, cmd).replace(/\n/g, '\r\n')}\r\n\r\n# `);
+        }
+    };
+
+    const receive = (chunk) => {
+        for (const b of chunk) {
+            if (mode === 'cli') {
+                const ch = String.fromCharCode(b);
+                if (ch === '\r' || ch === '\n') {
+                    handleCliLine(line.trim());
+                    line = '';
+                } else {
+                    line += ch;
+                    emit(ch);   // the CLI echoes what is typed
+                }
+                continue;
+            }
+            if (rx.length === 0 && b === 0x23) {
+                mode = 'cli';
+                emit("\r\nEntering CLI Mode, type 'exit' to return, or 'help'\r\n\r\n# ");
+                continue;
+            }
+            rx.push(b);
+            const decoded = decodeMspFrames(rx);
+            rx = decoded.rest;
+            decoded.frames.forEach(handleMspFrame);
+        }
+    };
+
+    return {
+        readable: null,
+        writable: null,
+        async open() {
+            mode = 'msp';
+            rx = [];
+            line = '';
+            this.readable = new ReadableStream({
+                start(c) { controller = c; },
+                cancel() { controller = null; },
+            });
+            this.writable = new WritableStream({ write: receive });
+        },
+        async close() {
+            try { controller?.close(); } catch (e) { /* already cancelled */ }
+            controller = null;
+            this.readable = null;
+            this.writable = null;
+        },
+        getInfo() {
+            return { simulated: true };
+        },
+    };
+}
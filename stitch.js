@@ -0,0 +1,115 @@
+// ============================================================================
+// Betaflight Backup Extension – Screenshot Stitching
+// Layout math for joining scrolled captures of the configurator's scroll
+// container: row fingerprints, overlap matching to correct the reported
+// scroll distance, and tiling into several vertically continuous images
+// when the result would exceed the browser's canvas limits.
+// Pure functions – content.js does the canvas work. Plain script, loaded
+// before content.js.
+// ============================================================================
+
+// Chrome caps canvases at 32767 px per side and ~268M px in total, and WebP
+// can't encode more than 16383 px; past a limit you silently get a blank image
+var STITCH_MAX_CANVAS_HEIGHT = 16383;
+var STITCH_MAX_CANVAS_AREA = 16384 * 8192;
+var STITCH_MATCH_RANGE = 48;        // device px searched around the reported scroll distance
+var STITCH_SAMPLE_COLUMNS = 64;     // grey samples per row fingerprint
+var STITCH_SAMPLE_ROWS = 64;        // rows compared per candidate offset
+var STITCH_MIN_OVERLAP = 8;         // rows two captures must share to be compared
+var STITCH_SCROLL_OVERLAP = 48;     // CSS px each scroll step leaves on screen for matching
+
+// Grey value of evenly spaced columns in [x0, x1) for every row of an
+// ImageData-like { data, width, height }
+function rowSignatures(imageData, x0 = 0, x1 = imageData.width, columns = STITCH_SAMPLE_COLUMNS) {
+    const { data, width, height } = imageData;
+    const count = Math.max(1, Math.min(columns, x1 - x0));
+    const xs = Array.from({ length: count }, (_, i) => Math.floor(x0 + (i + 0.5) * (x1 - x0) / count));
+    const rows = [];
+    for (let y = 0; y < height; y++) {
+        const row = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            const p = (y * width + xs[i]) * 4;
+            row[i] = data[p] * 0.299 + data[p + 1] * 0.587 + data[p + 2] * 0.114;
+        }
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Mean absolute difference when `next` is `prev` scrolled by `offset` rows
+// inside the scrolling band [top, bottom): next row r shows prev row r+offset
+function overlapError(prev, next, offset, top, bottom) {
+    const overlap = bottom - top - offset;
+    if (overlap < STITCH_MIN_OVERLAP) return Infinity;
+    const step = Math.max(1, Math.floor(overlap / STITCH_SAMPLE_ROWS));
+    let sum = 0;
+    let n = 0;
+    for (let r = top; r < bottom - offset; r += step) {
+        const a = prev[r + offset];
+        const b = next[r];
+        for (let i = 0; i < a.length; i++) sum += Math.abs(a[i] - b[i]);
+        n += a.length;
+    }
+    return sum / n;
+}
+
+// Actual scroll distance in device px: the offset near `expected` whose
+// overlap matches best. Candidates are tried closest-first and must beat the
+// current best clearly, so flat or repetitive content keeps `expected`.
+function findScrollOffset(prev, next, expected, top, bottom, range = STITCH_MATCH_RANGE) {
+    let best = expected;
+    let bestError = overlapError(prev, next, expected, top, bottom);
+    for (let distance = 1; distance <= range && bestError > 0; distance++) {
+        for (const offset of [expected - distance, expected + distance]) {
+            if (offset < 1) continue;
+            const error = overlapError(prev, next, offset, top, bottom);
+            if (error < bestError - 0.5) {
+                best = offset;
+                bestError = error;
+            }
+        }
+    }
+    return best;
+}
+
+// Tallest canvas that stays inside both limits for this width
+function maxStitchHeight(width) {
+    return Math.max(1, Math.min(STITCH_MAX_CANVAS_HEIGHT, Math.floor(STITCH_MAX_CANVAS_AREA / width)));
+}
+
+// Which rows of which capture go where. All values in device px.
+//   frames:   [{ offset }] – rows scrolled since the previous capture (first: 0)
+//   geometry: { imageHeight, top, bottom } – the scrolling band; rows above
+//             `top` (page header, sticky header in the container) and below
+//             `bottom` (footer) are taken once, from the first/last capture
+// Returns tiles [{ height, draws: [{ frame, sy, height, dy, band }] }] where
+// `band` draws only the container's columns (the sidebars don't scroll).
+function planStitch(frames, geometry, maxHeight) {
+    const { imageHeight, top, bottom } = geometry;
+    const segments = [{ frame: 0, sy: 0, height: bottom, band: false }];
+    for (let i = 1; i < frames.length; i++) {
+        const rows = Math.min(frames[i].offset, bottom - top);
+        if (rows > 0) segments.push({ frame: i, sy: bottom - rows, height: rows, band: true });
+    }
+    if (imageHeight > bottom) {
+        segments.push({ frame: frames.length - 1, sy: bottom, height: imageHeight - bottom, band: false });
+    }
+
+    // Cut the continuous strip into tiles, splitting segments at tile edges
+    const tiles = [{ height: 0, draws: [] }];
+    for (const seg of segments) {
+        let done = 0;
+        while (done < seg.height) {
+            let tile = tiles[tiles.length - 1];
+            if (tile.height >= maxHeight) {
+                tile = { height: 0, draws: [] };
+                tiles.push(tile);
+            }
+            const rows = Math.min(seg.height - done, maxHeight - tile.height);
+            tile.draws.push({ frame: seg.frame, sy: seg.sy + done, height: rows, dy: tile.height, band: seg.band });
+            tile.height += rows;
+            done += rows;
+        }
+    }
+    return tiles;
+}
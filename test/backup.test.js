@@ -0,0 +1,342 @@
+// ============================================================================
+// Betaflight Backup Extension – End-to-End Backup Tests
+// Full backups against the mock configurator (see harness.js); run with
+// `npm test`. Set BF_TEST_VERBOSE=1 to print the extension's console output.
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { openFixture, runFixtureBackup } = require('./harness');
+
+const ALL_OPTIONS = { screenshots: true, cli: true, profiles: true, filenameTemplate: '{craft}_{board}_{fw}' };
+
+const FULL_LAYOUT = [
+    '01_Setup/01_01_Setup.jpg',
+    '02_Ports/02_01_Ports.jpg',
+    '02_Ports/wiring.md',
+    '03_Configuration/03_01_Configuration.jpg',
+    '04_PID_Tuning/04_Filter.jpg',
+    '04_PID_Tuning/04_PID_Profile1.jpg',
+    '04_PID_Tuning/04_PID_Profile2.jpg',
+    '04_PID_Tuning/04_PID_Profile3.jpg',
+    '04_PID_Tuning/04_Rates_Profile1.jpg',
+    '04_PID_Tuning/04_Rates_Profile2.jpg',
+    '04_PID_Tuning/04_Rates_Profile3.jpg',
+    '04_PID_Tuning/04_Rates_Profile4.jpg',
+    '04_PID_Tuning/profiles.csv',
+    '04_PID_Tuning/profiles.md',
+    '05_Receiver/05_01_Receiver.jpg',
+    '06_OSD/06_OSD_Profile1.jpg',
+    '06_OSD/06_OSD_Profile2.jpg',
+    '06_OSD/06_OSD_Profile3.jpg',
+    '06_OSD/06_OSD_Stats.jpg',
+    '06_OSD/06_OSD_Timers.jpg',
+    '06_OSD/06_OSD_Warnings.jpg',
+    '06_OSD/layout.json',
+    '06_OSD/preview_profile1.svg',
+    '06_OSD/preview_profile2.svg',
+    'Adjustments/adjustments.csv',
+    'CLI/config.json',
+    'CLI/diff_all.txt',
+    'CLI/dump_all.txt',
+    'CLI/status.txt',
+    'CLI/version.txt',
+    'Modes/modes.csv',
+    'Modes/modes.html',
+    'Power/battery.json',
+    'VTX/vtxtable.json',
+    'VTX/vtxtable_configurator.json',
+    'index.html',
+    'manifest.json',
+];
+
+// Diagnostics reports are downloaded as JSON data URLs
+async function diagnosticsDownload(page, pattern) {
+    const isReport = (m) => m.action === 'download' && pattern.test(m.filename);
+    const download = page.seen.find(isReport) || await page.waitFor(['download']);
+    assert.match(download.filename, pattern);
+    return JSON.parse(decodeURIComponent(download.url.slice(download.url.indexOf(',') + 1)));
+}
+
+test('full backup produces the expected ZIP layout', async (t) => {
+    const page = await openFixture();
+    t.after(() => page.close());
+
+    const result = await runFixtureBackup(page, ALL_OPTIONS);
+    assert.equal(result.error, undefined);
+    assert.equal(result.root, 'SimQuad_SPEEDYBEEF7V3_4.5.1');
+    assert.equal(result.filename, 'SimQuad_SPEEDYBEEF7V3_4.5.1.zip');
+    assert.deepEqual(result.files, FULL_LAYOUT);
+
+    // Blacklisted and hidden tabs are never opened; profiles are restored
+    assert.deepEqual([...page.fixture.openedTabs],
+        ['tab_setup', 'tab_ports', 'tab_configuration', 'tab_pid_tuning', 'tab_receiver', 'tab_osd', 'tab_cli']);
+    assert.equal(page.fixture.pidProfile, '1');
+    assert.equal(page.fixture.rateProfile, '2');
+    assert.equal(page.fixture.osdPreviewProfile, '1');
+    assert.deepEqual([...page.fixture.cliCommands], ['diff all', 'dump all', 'version', 'status']);
+
+    const file = (name) => result.zip.file(`${result.root}/${name}`).async('string');
+    const diff = await file('CLI/diff_all.txt');
+    assert.match(diff, /^# version\n# Betaflight \/ STM32F7X2/);
+    assert.match(diff, /\nsave$/);
+    assert.doesNotMatch(diff, /^# diff all/m, 'echoed command is stripped');
+
+    const manifest = JSON.parse(await file('manifest.json'));
+    assert.equal(manifest.craftName, 'SimQuad');
+    assert.equal(manifest.firmware.version, '4.5.1');
+    assert.equal(manifest.configuratorVersion, '2025.12.2');
+    assert.deepEqual(manifest.selectorProfile, { id: 'web-2025', version: '2025.12.2', reason: 'version' });
+    assert.deepEqual(manifest.tabs.skipped.map(s => [s.cls, s.reason]),
+        [['tab_landing', 'blacklisted'], ['tab_presets', 'blacklisted']]);
+    assert.deepEqual(manifest.warnings, []);
+    const entry = manifest.files.find(f => f.path === 'CLI/diff_all.txt');
+    assert.equal(entry.sha256, crypto.createHash('sha256').update(diff).digest('hex'));
+});
+
+test('OSD layout records the element list and profiles shown in the OSD tab', async (t) => {
+    const page = await openFixture();
+    t.after(() => page.close());
+    page.fixture.osdActiveProfile = '2';
+
+    const result = await runFixtureBackup(page, ALL_OPTIONS);
+    assert.equal(result.error, undefined);
+    const osd = JSON.parse(await result.zip.file(`${result.root}/06_OSD/layout.json`).async('string'));
+    // Read after the previews, with the original "Preview for" selection back
+    assert.deepEqual(osd.tab, {
+        profileCount: 3,
+        previewProfile: 2,
+        activeProfile: 3,
+        elements: [
+            { name: 'MAIN_BATT_VOLTAGE', label: 'Battery voltage', profiles: [1] },
+            { name: 'RSSI_VALUE', label: 'RSSI Value', profiles: [1] },
+            { name: 'CRAFT_NAME', label: 'Craft name', profiles: [2] },
+            { name: 'GPS_SPEED', label: 'GPS Speed', profiles: [] },
+        ],
+    });
+});
+
+test('CLI-only backup skips every screenshot tab', async (t) => {
+    const page = await openFixture();
+    t.after(() => page.close());
+
+    const result = await runFixtureBackup(page, { ...ALL_OPTIONS, screenshots: false });
+    assert.equal(result.error, undefined);
+    assert.deepEqual(result.files.filter(f => !f.startsWith('CLI/')),
+        ['Adjustments/adjustments.csv', 'Modes/modes.csv', 'Modes/modes.html',
+            'OSD/layout.json', 'OSD/preview_profile1.svg', 'OSD/preview_profile2.svg',
+            'PID_Tuning/profiles.csv', 'PID_Tuning/profiles.md', 'Ports/wiring.md', 'Power/battery.json',
+            'VTX/vtxtable.json', 'VTX/vtxtable_configurator.json', 'index.html', 'manifest.json']);
+    assert.deepEqual([...page.fixture.openedTabs], ['tab_cli']);
+    const osd = JSON.parse(await result.zip.file(`${result.root}/OSD/layout.json`).async('string'));
+    assert.equal('tab' in osd, false);
+});
+
+test('a CLI parser failure keeps the raw CLI files and records a warning', async (t) => {
+    const page = await openFixture();
+    t.after(() => page.close());
+    page.background.parseCliConfig = () => { throw new Error('unexpected dump line'); };
+
+    const result = await runFixtureBackup(page, { ...ALL_OPTIONS, screenshots: false });
+    assert.equal(result.error, undefined);
+    assert.deepEqual(result.files, ['CLI/diff_all.txt', 'CLI/dump_all.txt', 'CLI/status.txt', 'CLI/version.txt',
+        'index.html', 'manifest.json']);
+    const manifest = JSON.parse(await result.zip.file(`${result.root}/manifest.json`).async('string'));
+    assert.deepEqual(manifest.warnings.map(w => w.message), [
+        'WARNING: CLI config export failed (unexpected dump line) – the raw CLI output is still in the backup',
+        'WARNING: CLI parser export failed (unexpected dump line) – the raw CLI output is still in the backup',
+    ]);
+});
+
+test('sub-tabs are named by their language-independent identity', async (t) => {
+    const page = await openFixture();
+    t.after(() => page.close());
+
+    const result = await runFixtureBackup(page, { ...ALL_OPTIONS, cli: false, profiles: false, selectedTabs: ['tab_pid_tuning'] });
+    assert.equal(result.error, undefined);
+    assert.deepEqual(result.files.filter(f => f.startsWith('01_')), [
+        '01_PID_Tuning/01_01_PID_Settings.jpg',
+        '01_PID_Tuning/01_02_Rateprofile_Settings.jpg',
+        '01_PID_Tuning/01_03_Filter_Settings.jpg',
+    ]);
+
+    const manifest = JSON.parse(await result.zip.file(`${result.root}/manifest.json`).async('string'));
+    const pid = manifest.tabs.captured.find(c => c.cls === 'tab_pid_tuning');
+    assert.deepEqual(pid.subTabs.map(s => [s.index, s.name, s.resolvedBy, s.label]), [
+        [1, 'PID_Settings', 'attribute', 'PID Settings'],
+        [2, 'Rateprofile_Settings', 'attribute', 'Rateprofile Settings'],
+        [3, 'Filter_Settings', 'attribute', 'Filter Settings'],
+    ]);
+});
+
+test('PNG screenshots are captured lossless and saved as .png', async (t) => {
+    const page = await openFixture();
+    t.after(() => page.close());
+
+    const result = await runFixtureBackup(page, { ...ALL_OPTIONS, cli: false, imageFormat: 'png' });
+    assert.equal(result.error, undefined);
+    const images = result.files.filter(f => /\.(jpg|png|webp)$/.test(f));
+    assert.equal(images.length, 18);
+    assert.ok(images.every(f => f.endsWith('.png')), images.join(', '));
+    assert.ok(page.seen.filter(m => m.action === 'capture').every(m => m.format === 'png' && m.quality === undefined));
+
+    const manifest = JSON.parse(await result.zip.file(`${result.root}/manifest.json`).async('string'));
+    assert.equal(manifest.options.imageFormat, 'png');
+});
+
+test('JPEG quality is passed to the capture', async (t) => {
+    const page = await openFixture();
+    t.after(() => page.close());
+
+    const result = await runFixtureBackup(page, { ...ALL_OPTIONS, cli: false, profiles: false, imageQuality: 95 });
+    assert.equal(result.error, undefined);
+    assert.ok(result.files.filter(f => f.includes('/')).every(f => f.endsWith('.jpg')));
+    const captures = page.seen.filter(m => m.action === 'capture');
+    assert.ok(captures.length > 0);
+    assert.ok(captures.every(m => m.format === 'jpeg' && m.quality === 95));
+});
+
+test('full-page capture falls back to stitching without the debugger permission', async (t) => {
+    const page = await openFixture();
+    t.after(() => page.close());
+
+    const result = await runFixtureBackup(page, { ...ALL_OPTIONS, cli: false, profiles: false, captureEngine: 'debugger' });
+    assert.equal(result.error, undefined);
+    assert.ok(page.seen.some(m => m.action === 'capture'));
+
+    const manifest = JSON.parse(await result.zip.file(`${result.root}/manifest.json`).async('string'));
+    assert.equal(manifest.options.captureEngine, 'stitch');
+    assert.ok(manifest.warnings.some(w => w.message.includes('Full-page capture unavailable')), JSON.stringify(manifest.warnings));
+});
+
+test('losing the connection aborts the backup with a partial ZIP', async (t) => {
+    const page = await openFixture();
+    t.after(() => page.close());
+    page.fixture.disconnectOn = 'tab_configuration';
+
+    const result = await runFixtureBackup(page, ALL_OPTIONS);
+    assert.match(result.error, /Connection lost.*Partial backup saved as STM32F7X2_4\.5\.1_PARTIAL\.zip/);
+    assert.ok(!page.fixture.openedTabs.includes('tab_cli'));
+    assert.equal(result.root, 'STM32F7X2_4.5.1_PARTIAL');
+    assert.deepEqual(result.files, [
+        '01_Setup/01_01_Setup.jpg',
+        '02_Ports/02_01_Ports.jpg',
+        '03_Configuration/03_01_Configuration.jpg',
+        'diagnostics.json',
+        'errors.txt',
+        'index.html',
+        'manifest.json',
+    ]);
+
+    const file = (name) => result.zip.file(`${result.root}/${name}`).async('string');
+    const errors = await file('errors.txt');
+    assert.match(errors, /^PARTIAL BACKUP/);
+    assert.match(errors, /Stopped at: PID Tuning \(tab_pid_tuning\)/);
+    assert.match(errors, /Not captured \(4\):\n {2}PID Tuning \(tab_pid_tuning\)\n {2}Receiver \(tab_receiver\)\n {2}OSD \(tab_osd\)\n {2}CLI \(tab_cli\)/);
+
+    const manifest = JSON.parse(await file('manifest.json'));
+    assert.equal(manifest.partial, true);
+    assert.match(manifest.error.message, /Connection lost/);
+    assert.deepEqual(manifest.tabs.captured.map(c => c.cls), ['tab_setup', 'tab_ports', 'tab_configuration']);
+    assert.match(await file('index.html'), /class="partial">Partial backup/);
+
+    // The diagnostics report of the failed run travels inside the ZIP
+    const report = JSON.parse(await file('diagnostics.json'));
+    assert.equal(report.trigger, 'backupError');
+    assert.match(report.error, /Connection lost/);
+    assert.deepEqual(report.backup.files,
+        ['01_Setup/01_01_Setup.jpg', '02_Ports/02_01_Ports.jpg', '03_Configuration/03_01_Configuration.jpg']);
+    assert.equal(report.page.connection.state, false);
+});
+
+test('without partial ZIPs a failed run only saves its diagnostics', async (t) => {
+    const page = await openFixture();
+    t.after(() => page.close());
+    page.fixture.disconnectOn = 'tab_configuration';
+
+    const result = await runFixtureBackup(page, { ...ALL_OPTIONS, partialOnError: false });
+    assert.match(result.error, /^Error: Connection lost – backup aborted\.$/);
+    assert.equal(result.zip, undefined);
+    const report = await diagnosticsDownload(page, /_diagnostics\.json$/);
+    assert.match(report.error, /Connection lost/);
+});
+
+test('a capture the service worker does not accept aborts the backup', async (t) => {
+    const page = await openFixture();
+    t.after(() => page.close());
+    // As after a service worker restart: the new worker has no backup running
+    const { runtime } = page.window.chrome;
+    const sendMessage = runtime.sendMessage;
+    runtime.sendMessage = (message, callback) => {
+        if (message.action === 'saveFile' && message.folderName === '03_Configuration') {
+            callback({ success: false, error: 'No active backup' });
+            return Promise.resolve();
+        }
+        return sendMessage(message, callback);
+    };
+
+    const result = await runFixtureBackup(page, ALL_OPTIONS);
+    assert.match(result.error, /Could not save 03_Configuration\/03_01_Configuration\.jpg \(No active backup\) – backup aborted\./);
+    assert.ok(!page.fixture.openedTabs.includes('tab_pid_tuning'));
+    const state = await page.send({ action: 'getResumeState' });
+    assert.deepEqual([...state.completedTabs], ['Setup', 'Ports']);
+});
+
+test('a file missing from the resume state is reported as a warning', async (t) => {
+    const page = await openFixture();
+    t.after(() => page.close());
+    page.background.addResumeFile = () => Promise.reject(new Error('QuotaExceededError'));
+
+    const result = await runFixtureBackup(page, { ...ALL_OPTIONS, screenshots: false });
+    assert.equal(result.error, undefined);
+    const manifest = JSON.parse(await result.zip.file(`${result.root}/manifest.json`).async('string'));
+    assert.ok(manifest.warnings.some(w => w.message ===
+        'WARNING: CLI/diff_all.txt is in the ZIP but not in the resume state (QuotaExceededError) – a resumed run would lack it.'),
+    JSON.stringify(manifest.warnings));
+});
+
+test('an interrupted backup resumes after the last completed tab', async (t) => {
+    const page = await openFixture();
+    t.after(() => page.close());
+    page.fixture.disconnectOn = 'tab_configuration';
+
+    const failed = await runFixtureBackup(page, ALL_OPTIONS);
+    assert.match(failed.error, /Connection lost/);
+
+    page.fixture.disconnectOn = null;
+    page.fixture.reconnect();
+    page.fixture.openedTabs.length = 0;
+    const state = await page.send({ action: 'getResumeState' });
+    assert.deepEqual([...state.completedTabs], ['Setup', 'Ports', 'Configuration']);
+
+    const result = await runFixtureBackup(page, null, { resume: true });
+    assert.equal(result.error, undefined);
+    assert.equal(result.root, 'SimQuad_SPEEDYBEEF7V3_4.5.1');
+    assert.deepEqual(result.files, FULL_LAYOUT);
+    assert.deepEqual([...page.fixture.openedTabs], ['tab_pid_tuning', 'tab_receiver', 'tab_osd', 'tab_cli']);
+
+    const manifest = JSON.parse(await result.zip.file(`${result.root}/manifest.json`).async('string'));
+    assert.deepEqual(manifest.tabs.captured.map(c => c.folder),
+        ['01_Setup', '02_Ports', '03_Configuration', '04_PID_Tuning', '05_Receiver', '06_OSD', '07_CLI']);
+    assert.equal((await page.send({ action: 'getResumeState' })).available, false);
+});
+
+test('diagnostics probe the page without running a backup', async (t) => {
+    const page = await openFixture();
+    t.after(() => page.close());
+
+    const res = await page.send({ action: 'runDiagnostics', tabId: 1 });
+    assert.equal(res.ok, true);
+    const report = await diagnosticsDownload(page, /^Betaflight_Diagnostics_.*\.json$/);
+    assert.equal(report.trigger, 'manual');
+    assert.equal(report.backup, null);
+    assert.deepEqual(report.page.selectorProfile, { id: 'web-2025', version: '2025.12.2', reason: 'version' });
+    assert.equal(report.page.connection.state, true);
+    assert.deepEqual(report.page.navigation.tabs.filter(tab => tab.visible).map(tab => tab.cls),
+        ['tab_landing', 'tab_setup', 'tab_ports', 'tab_configuration', 'tab_pid_tuning', 'tab_receiver', 'tab_osd', 'tab_presets', 'tab_cli']);
+    assert.equal(report.page.profileSelects.pid, null, 'PID Tuning is not open');
+    assert.equal(report.page.cli.terminal.terminalFound, false);
+    assert.equal(report.page.capture.ok, true);
+    assert.deepEqual([...page.fixture.openedTabs], [], 'nothing was clicked');
+});
@@ -0,0 +1,77 @@
+// ============================================================================
+// Betaflight Backup Extension – CLI Parser Tests
+// parseCliConfig() and the restore helpers on hand-written diff/dump snippets.
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'cli_parser.js'), 'utf8'), context);
+
+test('serial lines keep numeric ids as numbers and port names as written', () => {
+    const model = context.parseCliConfig([
+        'serial 20 1 115200 57600 0 115200',
+        'serial UART1 64 115200 57600 0 115200',
+        'serial SOFTSERIAL1 2048 115200 57600 0 115200',
+    ].join('\n'));
+    assert.deepEqual([...model.serial].map(s => [s.identifier, s.functionMask]),
+        [[20, 1], ['UART1', 64], ['SOFTSERIAL1', 2048]]);
+    assert.equal(model.serial[1].mspBaud, 115200);
+    assert.deepEqual([...model.unparsed], []);
+});
+
+test('restore commands keep CLI commands in order without comments, noise, save or exit', () => {
+    const commands = context.buildRestoreCommands([
+        '# version',
+        '# Betaflight / STM32F7X2 (S7X2) 4.5.1 Jul  7 2024 / 03:55:52 (77d01ba) MSP API: 1.46',
+        'batch start',
+        '',
+        '  feature -AIRMODE  ',
+        'Entering CLI Mode, type \'exit\' to return',
+        '###ERROR IN diff: CORRUPTED CONFIG###',
+        'set craft_name = Sim Quad',
+        'profile 0',
+        'set p_roll = 45',
+        'batch end',
+        'save',
+        'exit',
+    ].join('\r\n'));
+    assert.deepEqual([...commands], ['batch start', 'feature -AIRMODE', 'set craft_name = Sim Quad', 'profile 0',
+        'set p_roll = 45', 'batch end']);
+    assert.deepEqual([...context.buildRestoreCommands('')], []);
+});
+
+test('CLI errors are the lines the firmware prints for rejected commands', () => {
+    const output = [
+        '# set p_roll = 45',
+        'p_roll set to 45',
+        '# set bogus = 1',
+        '###ERROR IN set: Invalid name: bogus###',
+        '# set p_roll = 999',
+        'Invalid value',
+        '# aux 0 0',
+        'Parse error',
+        '# ',
+    ].join('\r\n');
+    assert.deepEqual([...context.findCliErrors(output)],
+        ['###ERROR IN set: Invalid name: bogus###', 'Invalid value', 'Parse error']);
+    assert.deepEqual([...context.findCliErrors('p_roll set to 45\r\n# ')], []);
+    assert.deepEqual([...context.findCliErrors(undefined)], []);
+});
+
+test('only complete diffs are restorable', () => {
+    const diff = ['# version', 'batch start', 'defaults nosave', 'set p_roll = 45'];
+    assert.deepEqual([...context.findRestoreProblems([...diff, 'batch end'].join('\n'))], []);
+    assert.deepEqual([...context.findRestoreProblems([...diff, '', '# save configuration', 'save'].join('\n'))], []);
+
+    assert.deepEqual([...context.findRestoreProblems(diff.join('\n'))],
+        ["'batch start' has no matching 'batch end' or 'save'"]);
+    assert.deepEqual([...context.findRestoreProblems(['# WARNING: output truncated – no CLI prompt after 45s',
+        ...diff, 'save'].join('\n'))], ['the CLI output was truncated when the backup was made']);
+    assert.deepEqual([...context.findRestoreProblems([...diff, '###ERROR IN diff: CORRUPTED CONFIG###', 'save'].join('\n'))],
+        ['the CLI output contains errors (###ERROR IN diff: CORRUPTED CONFIG###)']);
+});
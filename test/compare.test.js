@@ -0,0 +1,119 @@
+// ============================================================================
+// Betaflight Backup Extension – Backup Comparison Tests
+// diffCliConfigs() and the Markdown/HTML changelogs of compare.js.
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const JSZip = require(path.join(ROOT, 'jszip.min.js'));
+const context = vm.createContext({ JSZip });
+for (const file of ['cli_parser.js', 'compare.js']) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+}
+
+const BEFORE = [
+    '# Betaflight / STM32F7X2 (S7X2) 4.5.1 Jul  7 2024 / 03:55:52 (77d01ba) MSP API: 1.46',
+    'board_name SPEEDYBEEF7V3',
+    'feature -AIRMODE',
+    'feature GPS',
+    'beeper -GYRO_CALIBRATED',
+    'serial 0 64 115200 57600 0 115200',
+    'aux 0 0 0 1700 2100 0 0',
+    'vtxtable band 1 BOSCAM_A A FACTORY 5865 5845 5825 5805 5785 5765 5745 5725',
+    'set craft_name = Before|Quad',
+    'set motor_pwm_protocol = DSHOT300',
+    'profile 0',
+    'set p_roll = 45',
+].join('\n');
+
+const AFTER = [
+    '# Betaflight / STM32F7X2 (S7X2) 4.5.2 Jan  1 2025 / 10:00:00 (abcdef0) MSP API: 1.46',
+    'board_name SPEEDYBEEF7V3',
+    'feature AIRMODE',
+    'feature GPS',
+    'serial 0 64 115200 57600 0 115200',
+    'serial 1 2 115200 57600 0 115200',
+    'vtxtable band 1 BOSCAM_A A FACTORY 5865 5845 5825 5805 5785 5765 5745 5700',
+    'set craft_name = <After>',
+    'set motor_pwm_protocol = DSHOT300',
+    'profile 0',
+    'set p_roll = 50',
+    'rateprofile 0',
+    'set roll_rc_rate = 100',
+].join('\n');
+
+const diff = () => [...context.diffCliConfigs(context.parseCliConfig(BEFORE), context.parseCliConfig(AFTER))]
+    .map(c => ({ ...c }));
+
+test('changes are added, modified or reset to default, sorted info first and profiles last', () => {
+    assert.deepEqual(diff().map(c => [c.type, c.section, c.key, c.before, c.after]), [
+        ['modified', 'info', 'firmware', 'Betaflight 4.5.1', 'Betaflight 4.5.2'],
+        ['reset', 'aux', '0', '0 0 1700 2100 0 0', null],
+        ['reset', 'beeper', 'GYRO_CALIBRATED', 'OFF', null],
+        ['modified', 'feature', 'AIRMODE', 'OFF', 'ON'],
+        ['added', 'serial', '1', null, '2 115200 57600 0 115200'],
+        ['modified', 'vtxtable', 'band 1', 'BOSCAM_A A FACTORY 5865 5845 5825 5805 5785 5765 5745 5725',
+            'BOSCAM_A A FACTORY 5865 5845 5825 5805 5785 5765 5745 5700'],
+        ['modified', 'master', 'craft_name', 'Before|Quad', '<After>'],
+        ['modified', 'profile 0', 'p_roll', '45', '50'],
+        ['added', 'rateprofile 0', 'roll_rc_rate', null, '100'],
+    ]);
+});
+
+test('identical configs have no changes', () => {
+    const model = context.parseCliConfig(BEFORE);
+    assert.equal(context.diffCliConfigs(model, context.parseCliConfig(BEFORE)).length, 0);
+    const md = context.renderChangesMarkdown([], 'a.zip', 'b.zip', model, model);
+    assert.match(md, /- \*\*Summary:\*\* 0 added, 0 reset to default, 0 modified\n\nNo differences found in `diff all`\./);
+});
+
+test('Markdown lists each section as a table with escaped pipes', () => {
+    const md = context.renderChangesMarkdown(context.diffCliConfigs(context.parseCliConfig(BEFORE), context.parseCliConfig(AFTER)),
+        'before.zip', 'after.zip', context.parseCliConfig(BEFORE), context.parseCliConfig(AFTER));
+    assert.match(md, /^# Betaflight Configuration Changes\n/);
+    assert.match(md, /- \*\*Before:\*\* before\.zip \(Before\|Quad, SPEEDYBEEF7V3, Betaflight 4\.5\.1\)/);
+    assert.match(md, /- \*\*Summary:\*\* 2 added, 2 reset to default, 5 modified/);
+    // Missing from the later diff all = back at the firmware default
+    assert.match(md, /## beeper\n\n\| Change \| Setting \| Before \| After \|\n\|---\|---\|---\|---\|\n\| reset to default \| GYRO_CALIBRATED \| `OFF` \| \*default\* \|/);
+    assert.doesNotMatch(md, /removed/);
+    assert.match(md, /## master\n\n\| Change \| Setting \| Before \| After \|\n\|---\|---\|---\|---\|\n\| modified \| craft_name \| `Before\\\|Quad` \| `<After>` \|/);
+    assert.match(md, /\| added \| roll_rc_rate \|  \| `100` \|/);
+});
+
+test('HTML escapes setting values and marks rows by change type', () => {
+    const before = context.parseCliConfig(BEFORE);
+    const after = context.parseCliConfig(AFTER);
+    const html = context.renderChangesHtml(context.diffCliConfigs(before, after), 'before.zip', 'after.zip', before, after);
+    assert.match(html, /<tr class="modified"><td>modified<\/td><td>craft_name<\/td><td>Before\|Quad<\/td><td>&lt;After&gt;<\/td><\/tr>/);
+    assert.match(html, /<h2>profile 0<\/h2>/);
+    assert.match(html, /<tr class="reset"><td>reset to default<\/td><td>GYRO_CALIBRATED<\/td><td>OFF<\/td><td><em>default<\/em><\/td><\/tr>/);
+    assert.match(html, /<strong>Summary:<\/strong> 2 added, 2 reset to default, 5 modified/);
+    assert.match(html, /<strong>After:<\/strong> after\.zip \(&lt;After&gt;, SPEEDYBEEF7V3, Betaflight 4\.5\.2\)/);
+    assert.doesNotMatch(html, /<After>/);
+});
+
+test('diff_all.txt is found below the backup root folder, partial backups are flagged', async () => {
+    const zip = new JSZip();
+    zip.folder('SimQuad_SPEEDYBEEF7V3_4.5.1').file('CLI/diff_all.txt', BEFORE);
+    const data = await zip.generateAsync({ type: 'uint8array' });
+    assert.equal(await context.readDiffAllFromZip(data), BEFORE);
+
+    assert.equal((await context.readBackupDiffAll(data)).partial, false);
+
+    // Partial ZIPs of failed runs
+    const partial = new JSZip();
+    partial.folder('SimQuad_SPEEDYBEEF7V3_4.5.1_PARTIAL').file('CLI/diff_all.txt', BEFORE);
+    assert.equal((await context.readBackupDiffAll(await partial.generateAsync({ type: 'uint8array' }))).partial, true);
+    const withErrors = new JSZip();
+    withErrors.folder('Renamed').file('CLI/diff_all.txt', BEFORE).file('errors.txt', 'Connection lost');
+    assert.equal((await context.readBackupDiffAll(await withErrors.generateAsync({ type: 'uint8array' }))).partial, true);
+
+    const empty = await new JSZip().generateAsync({ type: 'uint8array' });
+    await assert.rejects(context.readDiffAllFromZip(Object.assign(empty, { name: 'empty.zip' })),
+        /empty\.zip contains no CLI\/diff_all\.txt/);
+});
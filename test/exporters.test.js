@@ -0,0 +1,260 @@
+// ============================================================================
+// Betaflight Backup Extension – CLI Exporter Tests
+// The files exporters.js builds from hand-written `dump all` snippets.
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({});
+for (const file of ['cli_parser.js', 'exporters.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+}
+
+const parse = (lines) => context.parseCliConfig(lines.join('\n'));
+// Plain objects – results built in the vm context fail deepEqual otherwise
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+// ── OSD layout ──────────────────────────────────────────────────────────
+
+test('OSD positions decode column, row, OSD profiles and variant', () => {
+    assert.deepEqual(plain(context.decodeOsdPosition(2465)), { x: 1, y: 13, profiles: [1], variant: 0 });
+    assert.deepEqual(plain(context.decodeOsdPosition('234')), { x: 10, y: 7, profiles: [], variant: 0 });
+    // Bit 10 adds 32 to the column (HD), bits 11-13 are OSD profiles 1-3, 14-15 the variant
+    assert.deepEqual(plain(context.decodeOsdPosition(16384 + 8192 + 2048 + 1024 + (5 << 5) + 10)),
+        { x: 42, y: 5, profiles: [1, 3], variant: 1 });
+});
+
+test('OSD layout lists the elements with profile names and one preview per profile in use', () => {
+    const osdTab = { profileCount: 3, previewProfile: 1, activeProfile: 2, elements: [] };
+    const osd = context.buildOsdLayoutExport(parse([
+        'set vcd_video_system = PAL',
+        'set osd_vbat_pos = 2465',
+        'set osd_rssi_pos = 2081',
+        'set osd_craft_name_pos = 4362',
+        'set osd_gps_speed_pos = 234',
+        'set osd_profile = 2',
+        'set osd_profile_1_name = RACE',
+        'set osd_profile_2_name = -',
+    ]), osdTab);
+    const layout = JSON.parse(osd.json);
+
+    assert.equal(layout.videoSystem, 'PAL');
+    assert.deepEqual(layout.grid, { name: 'PAL', cols: 30, rows: 16 });
+    assert.equal(layout.activeProfile, 2);
+    assert.deepEqual(layout.profiles, [
+        { index: 1, name: 'RACE', elements: 2 },
+        { index: 2, name: '', elements: 1 },
+        { index: 3, name: '', elements: 0 },
+    ]);
+    assert.deepEqual(layout.elements.map(e => e.name), ['craft_name', 'gps_speed', 'rssi', 'vbat']);
+    assert.deepEqual(layout.elements[3], {
+        name: 'vbat', setting: 'osd_vbat_pos', value: 2465, x: 1, y: 13, profiles: [1], variant: 0,
+    });
+    assert.deepEqual(layout.tab, osdTab);
+
+    assert.deepEqual([...osd.previews].map(p => p.name), ['preview_profile1.svg', 'preview_profile2.svg']);
+    const svg = osd.previews[1].svg;
+    assert.match(svg, /<text class="title" x="4" y="-8">OSD profile 2 \(PAL 30×16\)<\/text>/);
+    assert.match(svg, /<title>craft_name \(10, 8\)<\/title><rect x="120" y="144" width="12" height="18"\/><text x="122" y="157">CRAFT_NAME<\/text>/);
+    assert.doesNotMatch(svg, /VBAT/);
+    assert.match(osd.previews[0].svg, /OSD profile 1 – RACE/);
+});
+
+test('OSD grid follows the video system unless elements sit beyond it', () => {
+    const grid = (lines) => JSON.parse(context.buildOsdLayoutExport(parse(lines)).json).grid.name;
+    assert.equal(grid(['set vcd_video_system = NTSC', 'set osd_rssi_pos = 2081']), 'NTSC');
+    assert.equal(grid(['set vcd_video_system = NTSC', 'set osd_vbat_pos = 2465']), 'HD');
+    assert.equal(grid(['set vcd_video_system = AUTO', 'set osd_rssi_pos = 2081']), 'PAL');
+    assert.equal(grid(['set osd_rssi_pos = 3072']), 'HD');
+    assert.equal(context.buildOsdLayoutExport(parse(['set vcd_video_system = PAL'])), null);
+});
+
+// ── Battery and VTX table ───────────────────────────────────────────────
+
+test('battery settings are grouped into voltage, current and other', () => {
+    const battery = JSON.parse(context.buildBatteryExport(parse([
+        'set battery_meter = ADC',
+        'set current_meter = ADC',
+        'set bat_capacity = 1300',
+        'set vbat_warning_cell_voltage = 350',
+        'set vbat_min_cell_voltage = 330',
+        'set vbat_scale = 110',
+        'set ibata_scale = 386',
+        'set ibata_offset = 0',
+        'set report_cell_voltage = OFF',
+        'set p_roll = 45',
+    ])));
+    assert.deepEqual(battery, {
+        batteryMeter: 'ADC',
+        currentMeter: 'ADC',
+        capacityMah: 1300,
+        voltage: { vbat_min_cell_voltage: 330, vbat_scale: 110, vbat_warning_cell_voltage: 350 },
+        current: { ibata_offset: 0, ibata_scale: 386 },
+        other: { bat_capacity: 1300, battery_meter: 'ADC', current_meter: 'ADC', report_cell_voltage: 'OFF' },
+    });
+    assert.equal(context.buildBatteryExport(parse(['set p_roll = 45'])), null);
+});
+
+test('VTX table is exported readable and in the VTX tab file format', () => {
+    const vtx = context.buildVtxTableExport(parse([
+        'vtxtable bands 2',
+        'vtxtable channels 8',
+        'vtxtable band 2 RACEBAND R CUSTOM 5658 5695 5732 5769 5806 5843 5880 5917',
+        'vtxtable band 1 BOSCAM_A A FACTORY 5865 5845 5825 5805 5785 5765 5745 5725',
+        'vtxtable powerlevels 3',
+        'vtxtable powervalues 25 200 500 800',
+        'vtxtable powerlabels 25 200',
+        'set vtx_band = 5',
+        'set vtx_channel = 1',
+        'set vtx_power = 1',
+    ]));
+
+    const readable = JSON.parse(vtx.json);
+    assert.equal(readable.bands, 2);
+    assert.equal(readable.channels, 8);
+    assert.deepEqual(readable.bandList.map(b => [b.index, b.name, b.letter, b.factory]),
+        [[1, 'BOSCAM_A', 'A', true], [2, 'RACEBAND', 'R', false]]);
+    // Only `powerlevels` values; missing labels fall back to the value
+    assert.deepEqual(readable.powerLevels, [
+        { level: 1, value: 25, label: '25' }, { level: 2, value: 200, label: '200' }, { level: 3, value: 500, label: '500' },
+    ]);
+    assert.deepEqual(readable.current, { vtx_band: 5, vtx_channel: 1, vtx_power: 1 });
+
+    assert.deepEqual(JSON.parse(vtx.configurator), {
+        description: 'Betaflight VTX Config file',
+        version: '1.0',
+        vtx_table: {
+            bands_list: [
+                { name: 'BOSCAM_A', letter: 'A', is_factory_band: true, frequencies: [5865, 5845, 5825, 5805, 5785, 5765, 5745, 5725] },
+                { name: 'RACEBAND', letter: 'R', is_factory_band: false, frequencies: [5658, 5695, 5732, 5769, 5806, 5843, 5880, 5917] },
+            ],
+            powerlevels_list: [{ value: 25, label: '25' }, { value: 200, label: '200' }, { value: 500, label: '500' }],
+        },
+    });
+    assert.equal(context.buildVtxTableExport(parse(['set vtx_band = 5'])), null);
+});
+
+// ── Modes and adjustments ───────────────────────────────────────────────
+
+const MODES_DUMP = [
+    '# Betaflight / STM32F7X2 (S7X2) 4.5.1 Jul  7 2024 / 03:55:52 (77d01ba) MSP API: 1.46',
+    'board_name SPEEDYBEEF7V3',
+    'aux 0 0 0 1700 2100 0 0',
+    'aux 1 1 1 1300 2100 1 0',
+    'aux 2 13 0 900 900 0 1',
+    'aux 3 3 2 1500 2100 0 0',
+    'aux 4 0 0 900 900 0 0',
+    'aux 5 99 3 1000 1200 0 0',
+    'adjrange 0 0 2 1700 2100 12 2 0 0',
+    'adjrange 1 0 0 900 900 0 0 0 0',
+    'adjrange 2 0 3 900 2100 99 4 1500 10',
+    'set craft_name = <Sim>',
+];
+
+test('modes CSV names modes for the firmware version and skips unused slots', () => {
+    const modes = context.buildModesExport(parse(MODES_DUMP));
+    assert.equal(modes.csv, [
+        'mode,mode_id,channel,range_low,range_high,logic,linked_mode',
+        'ARM,0,AUX 1,1700,2100,OR,',
+        'ANGLE,1,AUX 2,1300,2100,AND,',
+        'BEEPER,13,,,,OR,ANGLE',
+        'BARO,3,AUX 3,1500,2100,OR,',
+        'MODE 99,99,AUX 4,1000,1200,OR,',
+    ].join('\n') + '\n');
+
+    // 4.6 renamed mode 3 to ALTHOLD
+    const newer = context.buildModesExport(parse(MODES_DUMP.map(l => l.replace('4.5.1', '4.6.0'))));
+    assert.match(newer.csv, /\nALTHOLD,3,AUX 3,/);
+});
+
+test('adjustments CSV lists enable and value channels of the ranges in use', () => {
+    const { adjustmentsCsv } = context.buildModesExport(parse(MODES_DUMP));
+    assert.equal(adjustmentsCsv, [
+        'adjustment,function_id,enable_channel,range_low,range_high,value_channel,center,scale',
+        'Rate Profile,12,AUX 3,1700,2100,AUX 3,0,0',
+        'Function 99,99,AUX 4,900,2100,AUX 5,1500,10',
+    ].join('\n') + '\n');
+    assert.equal(context.buildModesExport(parse(['aux 0 0 0 1700 2100 0 0'])).adjustmentsCsv, null);
+    assert.equal(context.buildModesExport(parse(['aux 0 0 0 900 900 0 0', 'adjrange 0 0 0 900 900 0 0 0 0'])), null);
+});
+
+test('modes HTML draws each range on the 900–2100 scale and escapes names', () => {
+    const { html } = context.buildModesExport(parse(MODES_DUMP));
+    assert.match(html, /<title>Modes – &lt;Sim&gt; · SPEEDYBEEF7V3 · Betaflight 4\.5\.1<\/title>/);
+    assert.match(html, /<tr><td>ARM<\/td><td>AUX 1<\/td><td>1700–2100<\/td><td><div class="bar"><div style="left: 66\.7%; width: 33\.3%"><\/div><\/div><\/td><td>OR<\/td><\/tr>/);
+    assert.match(html, /<tr><td>BEEPER<\/td><td><\/td><td colspan="2">linked to ANGLE<\/td><td>OR<\/td><\/tr>/);
+    assert.match(html, /<h2>Adjustments<\/h2>[\s\S]*<tr><td>Rate Profile<\/td><td>AUX 3<\/td><td>1700–2100<\/td>/);
+    assert.doesNotMatch(html, /<Sim>/);
+});
+
+// ── Wiring ──────────────────────────────────────────────────────────────
+
+test('wiring summary lists receiver, serial ports with their pins, resources and features', () => {
+    const wiring = context.buildWiringExport(parse([
+        '# Betaflight / STM32F7X2 (S7X2) 4.5.1 Jul  7 2024 / 03:55:52 (77d01ba) MSP API: 1.46',
+        'board_name SPEEDYBEEF7V3',
+        'feature -AIRMODE',
+        'feature RX_SERIAL',
+        'feature GPS',
+        'serial 20 1 115200 57600 0 115200',
+        'serial 0 64 115200 57600 0 115200',
+        'serial 1 2 115200 57600 0 115200',
+        'serial 2 0 115200 57600 0 115200',
+        'serial SOFTSERIAL1 32 115200 57600 0 115200',
+        'resource SERIAL_TX 1 A09',
+        'resource SERIAL_TX 2 A02',
+        'resource SERIAL_RX 1 A10',
+        'resource SERIAL_RX 2 A03',
+        'resource LED_STRIP 1 NONE',
+        'map TAER1234',
+        'set serialrx_provider = CRSF',
+        'set serialrx_inverted = OFF',
+        'set craft_name = SimQuad',
+    ]));
+    assert.equal(wiring, [
+        '# Wiring',
+        '',
+        'SimQuad · SPEEDYBEEF7V3 · Betaflight 4.5.1',
+        '',
+        '## Receiver',
+        '',
+        '- Type: Serial',
+        '- Protocol: CRSF on UART1',
+        '- `serialrx_inverted` = OFF',
+        '- Channel map: `TAER1234` (1: Throttle, 2: Roll, 3: Pitch, 4: Yaw, 5: AUX 1, 6: AUX 2, 7: AUX 3, 8: AUX 4)',
+        '',
+        '## Serial Ports',
+        '',
+        '| Port | Functions | TX pin | RX pin |',
+        '|---|---|---|---|',
+        '| USB VCP | MSP 115200 |  |  |',
+        '| UART1 | Serial RX | A09 | A10 |',
+        '| UART2 | GPS 57600 | A02 | A03 |',
+        '| SOFTSERIAL1 | SmartPort telemetry auto |  |  |',
+        '',
+        '## Pin Resources',
+        '',
+        '| Function | Index | Pin |',
+        '|---|---|---|',
+        '| SERIAL_TX | 1 | A09 |',
+        '| SERIAL_TX | 2 | A02 |',
+        '| SERIAL_RX | 1 | A10 |',
+        '| SERIAL_RX | 2 | A03 |',
+        '',
+        '## Features',
+        '',
+        '`GPS` `RX_SERIAL`',
+        '',
+    ].join('\n'));
+    assert.equal(context.buildWiringExport(parse(['set p_roll = 45'])), null);
+});
+
+test('serial port identifiers map to port names and UART numbers', () => {
+    assert.deepEqual([0, 5, 20, 30, 41, 99, 'UART3', 'VCP', 'SOFTSERIAL2'].map(id => context.serialPortName(id)),
+        ['UART1', 'UART6', 'USB VCP', 'SOFTSERIAL1', 'LPUART2', 'Port 99', 'UART3', 'USB VCP', 'SOFTSERIAL2']);
+    assert.deepEqual([0, 5, 20, 30, 'UART3', 'VCP'].map(id => context.uartNumber(id)), [1, 6, null, null, 3, null]);
+});
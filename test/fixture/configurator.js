@@ -0,0 +1,248 @@
+// ============================================================================
+// Betaflight Backup Extension – Mock Configurator (test fixture)
+// Reproduces the parts of the Betaflight Web Configurator that content.js
+// depends on: ul.mode-connected > li.tab_* navigation, #content, sub-tab
+// containers, the PID/rate profile selects, an xterm-like CLI terminal
+// (paste / buffer.active / clear) and the connection button state.
+// CLI answers come from the simulated flight controller in serial_sim.js.
+// ============================================================================
+
+// `hidden` tabs exist in the DOM but aren't shown (e.g. Servos on a quad)
+var FIXTURE_TABS = [
+    { cls: 'tab_landing',       label: 'Welcome' },
+    { cls: 'tab_setup',         label: 'Setup' },
+    { cls: 'tab_ports',         label: 'Ports' },
+    { cls: 'tab_configuration', label: 'Configuration' },
+    { cls: 'tab_pid_tuning',    label: 'PID Tuning' },
+    { cls: 'tab_receiver',      label: 'Receiver' },
+    { cls: 'tab_osd',           label: 'OSD' },
+    { cls: 'tab_servos',        label: 'Servos', hidden: true },
+    { cls: 'tab_presets',       label: 'Presets' },
+    { cls: 'tab_cli',           label: 'CLI' },
+];
+
+// [label, i18n key] – the configurator marks sub-tabs with language-independent i18n keys
+var FIXTURE_PID_SUBTABS = [
+    ['PID Settings', 'pidTuningSubTabPid'],
+    ['Rateprofile Settings', 'pidTuningSubTabRates'],
+    ['Filter Settings', 'pidTuningSubTabFilter'],
+];
+
+// Test hooks: state the tests can read or change
+var fixture = {
+    pidProfile: '1',         // active profiles – the backup must restore them
+    rateProfile: '2',
+    osdPreviewProfile: '1',  // OSD tab's "Preview for" selection
+    osdActiveProfile: '0',   // osd_profile, shown in the OSD tab
+    osdProfileCount: 3,
+    // OSD tab element list: [configurator name, label, visible in OSD profiles]
+    osdElements: [
+        ['MAIN_BATT_VOLTAGE', 'Battery voltage', [1]],
+        ['RSSI_VALUE', 'RSSI Value', [1]],
+        ['CRAFT_NAME', 'Craft name', [2]],
+        ['GPS_SPEED', 'GPS Speed', []],
+    ],
+    pidProfileCount: 3,
+    rateProfileCount: 4,
+    disconnectOn: null,      // tab class that drops the connection when opened
+    openedTabs: [],
+    cliCommands: [],
+    reboots: 0,              // `save` / `exit` in the CLI
+    disconnect() {
+        document.querySelector('.connection_button__link').classList.remove('active');
+    },
+    reconnect() {
+        document.querySelector('.connection_button__link').classList.add('active');
+    },
+};
+
+// ═══════════════════════════════════════════════════════════════════════
+//  Navigation
+// ═══════════════════════════════════════════════════════════════════════
+
+function renderNavigation() {
+    const nav = document.getElementById('tabs');
+    for (const tab of FIXTURE_TABS) {
+        const li = document.createElement('li');
+        li.className = tab.cls;
+        if (tab.hidden) li.style.display = 'none';
+        const a = document.createElement('a');
+        a.href = '#';
+        a.className = 'tabicon';
+        a.textContent = tab.label;
+        a.addEventListener('click', (e) => {
+            e.preventDefault();
+            openTab(tab);
+        });
+        li.appendChild(a);
+        nav.appendChild(li);
+    }
+}
+
+function openTab(tab) {
+    fixture.openedTabs.push(tab.cls);
+    if (fixture.disconnectOn === tab.cls) fixture.disconnect();
+
+    const content = document.getElementById('content');
+    window.TABS = {};
+    if (tab.cls === 'tab_pid_tuning') renderPidTuning(content);
+    else if (tab.cls === 'tab_osd') renderOsd(content);
+    else if (tab.cls === 'tab_cli') renderCli(content);
+    else content.innerHTML = `<div class="${tab.cls.replace('_', '-')}"><h1>${tab.label}</h1><p>Settings</p></div>`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+//  OSD – preview profile select + timers / warnings / stats sections
+// ═══════════════════════════════════════════════════════════════════════
+
+function renderOsd(content) {
+    const options = Array.from({ length: fixture.osdProfileCount }, (_, i) => `<option value="${i}">OSD Profile ${i + 1}</option>`).join('');
+    content.innerHTML = `
+        <div class="tab-osd">
+            <select class="osdprofile-active">${options}</select>
+            <div class="display-fields">${fixture.osdElements.map(([name, label, profiles]) => `
+                <div class="switchable-field field-${name}">${Array.from({ length: fixture.osdProfileCount }, (_, i) =>
+                    `<input type="checkbox" name="${name}"${profiles.includes(i + 1) ? ' checked' : ''}>`).join('')}
+                    <label>${label}</label>
+                </div>`).join('')}
+            </div>
+            <select class="osdprofile-selector">${options}</select>
+            <div class="preview"></div>
+            <div class="timers-container">Timers</div>
+            <div class="warnings-container">Warnings</div>
+            <div class="stats-container">Statistics</div>
+        </div>`;
+    const select = content.querySelector('select.osdprofile-selector');
+    const renderPreview = () => {
+        content.querySelector('.preview').textContent = `Preview of OSD profile ${Number(fixture.osdPreviewProfile) + 1}`;
+    };
+    content.querySelector('select.osdprofile-active').value = fixture.osdActiveProfile;
+    select.value = fixture.osdPreviewProfile;
+    select.addEventListener('change', () => { fixture.osdPreviewProfile = select.value; renderPreview(); });
+    renderPreview();
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+//  PID Tuning – sub-tabs + profile selects
+// ═══════════════════════════════════════════════════════════════════════
+
+function renderPidTuning(content) {
+    const options = (count) => Array.from({ length: count }, (_, i) => `<option value="${i}">Profile ${i + 1}</option>`).join('');
+    content.innerHTML = `
+        <div class="tab-pid_tuning">
+            <div class="profile">
+                <label>Profile</label>
+                <select name="profile">${options(fixture.pidProfileCount)}</select>
+                <label>Rateprofile</label>
+                <select name="rate_profile">${options(fixture.rateProfileCount)}</select>
+            </div>
+            <div class="tab-container">
+                ${FIXTURE_PID_SUBTABS.map(([name, key], i) => `<div class="tab" data-index="${i}"><a href="#" i18n="${key}">${name}</a></div>`).join('')}
+            </div>
+            <div class="subtab-body"></div>
+        </div>`;
+
+    const pidSelect = content.querySelector('select[name="profile"]');
+    const rateSelect = content.querySelector('select[name="rate_profile"]');
+    pidSelect.value = fixture.pidProfile;
+    rateSelect.value = fixture.rateProfile;
+    pidSelect.addEventListener('change', () => { fixture.pidProfile = pidSelect.value; renderPidSubTab(content); });
+    rateSelect.addEventListener('change', () => { fixture.rateProfile = rateSelect.value; renderPidSubTab(content); });
+
+    content.querySelectorAll('.tab-container .tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            content.querySelectorAll('.tab-container .tab').forEach(t => t.classList.remove('active'));
+            tab.classList.add('active');
+            renderPidSubTab(content);
+        });
+    });
+    content.querySelector('.tab-container .tab').classList.add('active');
+    renderPidSubTab(content);
+}
+
+function renderPidSubTab(content) {
+    const active = content.querySelector('.tab-container .tab.active');
+    content.querySelector('.subtab-body').textContent =
+        `${active.textContent} – PID profile ${Number(fixture.pidProfile) + 1}, rate profile ${Number(fixture.rateProfile) + 1}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+//  CLI – xterm-like terminal backed by the simulated FC
+// ═══════════════════════════════════════════════════════════════════════
+
+var FIXTURE_CLI_LINE_DELAY = 20;    // ms per chunk of output lines
+var FIXTURE_CLI_CHUNK = 25;         // lines per chunk, like a serial stream
+var FIXTURE_REBOOT_MS = 8000;       // `save` / `exit` reboot: disconnected this long
+
+function createFixtureTerminal() {
+    let lines = ["Entering CLI Mode, type 'exit' to return, or 'help'", '', '# '];
+    const queue = [];
+    let streaming = false;
+
+    // Output arrives in chunks, so a poll can see a half-written dump
+    const stream = () => {
+        if (queue.length === 0) { streaming = false; return; }
+        streaming = true;
+        lines.push(...queue.splice(0, FIXTURE_CLI_CHUNK));
+        setTimeout(stream, FIXTURE_CLI_LINE_DELAY);
+    };
+
+    const run = (cmd) => {
+        fixture.cliCommands.push(cmd);
+        lines[lines.length - 1] = `# ${cmd}`;
+        if (cmd === 'save' || cmd === 'exit') {
+            // The FC reboots: no prompt, the configurator drops the connection and reconnects
+            queue.push(...simFcCliResponse(SIM_FC_DEFAULTS, cmd).split('\n'));
+            fixture.reboots++;
+            fixture.disconnect();
+            setTimeout(() => fixture.reconnect(), FIXTURE_REBOOT_MS);
+        } else {
+            queue.push(...simFcCliResponse(SIM_FC_DEFAULTS, cmd).split('\n'), '', '# ');
+        }
+        if (!streaming) setTimeout(stream, FIXTURE_CLI_LINE_DELAY);
+    };
+
+    return {
+        paste(text) {
+            text.split(/\r?\n/).map(l => l.trim()).filter(Boolean).forEach(run);
+        },
+        clear() {
+            lines = [lines[lines.length - 1]];
+        },
+        buffer: {
+            active: {
+                get length() { return lines.length; },
+                getLine(i) {
+                    const text = lines[i];
+                    return text === undefined ? undefined : { translateToString: (trim) => trim ? text.trimEnd() : text };
+                },
+            },
+        },
+    };
+}
+
+function renderCli(content) {
+    content.innerHTML = `
+        <div class="tab-cli">
+            <div class="xterm"></div>
+            <div class="buttons"><a href="#" class="clear">Clear output</a></div>
+        </div>`;
+    const terminal = createFixtureTerminal();
+    content.querySelector('.xterm')._xterm = terminal;
+    window.TABS = { cli: { terminal } };
+    content.querySelector('a.clear').addEventListener('click', (e) => {
+        e.preventDefault();
+        terminal.clear();
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+//  Startup
+// ═══════════════════════════════════════════════════════════════════════
+
+document.querySelector('input[name="expertModeCheckbox"]').closest('label').addEventListener('click', () => {
+    document.body.classList.toggle('expert-mode');
+});
+
+renderNavigation();
+document.getElementById('content').innerHTML = '<div class="tab-landing"><h1>Welcome</h1></div>';
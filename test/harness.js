@@ -0,0 +1,342 @@
+// ============================================================================
+// Betaflight Backup Extension – End-to-End Test Harness
+// Runs the real content.js against test/fixture/configurator.html in jsdom
+// and the real background.js in a Node vm context, joined by a small
+// chrome.* bridge that mirrors extension messaging. Timers in the page run
+// faster so a full backup takes seconds instead of minutes.
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { IDBFactory } = require('fake-indexeddb');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURE = path.join(__dirname, 'fixture', 'configurator.html');
+const SERIAL_PAGE = path.join(ROOT, 'serial.html');
+const TAB_ID = 1;
+// Smallest valid JPEG header – screenshots only need to decode as base64
+const FAKE_SCREENSHOT = 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAAAQABAAD/2Q==';
+const FAKE_PNG_SCREENSHOT = 'data:image/png;base64,' +
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+const readSource = (file) => fs.readFileSync(path.join(ROOT, file), 'utf8');
+
+// jsdom has no layout engine: give every displayed element a box so the
+// visibility checks in content.js behave like in a browser
+function addLayoutShim(window) {
+    const isDisplayed = (el) => {
+        for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+            if (window.getComputedStyle(node).display === 'none') return false;
+        }
+        return el.isConnected;
+    };
+    for (const prop of ['offsetWidth', 'offsetHeight']) {
+        Object.defineProperty(window.HTMLElement.prototype, prop, {
+            configurable: true,
+            get() { return isDisplayed(this) ? 20 : 0; },
+        });
+    }
+    Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+        configurable: true,
+        get() { return isDisplayed(this) ? this.textContent.replace(/\s+/g, ' ') : ''; },
+    });
+    window.HTMLElement.prototype.scrollIntoView = function () {};
+
+    // jsdom can't decode images (no canvas) – fail like a broken image so
+    // cropping/re-encoding take their fallbacks instead of waiting forever
+    window.Image = class extends window.HTMLImageElement {
+        constructor() {
+            const img = window.document.createElement('img');
+            Object.defineProperty(img, 'src', {
+                set() { setTimeout(() => img.onerror?.(new window.Event('error')), 0); },
+            });
+            return img;
+        }
+    };
+}
+
+function speedUpTimers(window, factor) {
+    const { setTimeout: set, setInterval: every } = window;
+    window.setTimeout = (fn, ms = 0, ...args) => set(fn, ms / factor, ...args);
+    window.setInterval = (fn, ms = 0, ...args) => every(fn, ms / factor, ...args);
+}
+
+// chrome.runtime.sendMessage semantics: the callback (or promise) gets the
+// listener's sendResponse value; without one the port closes with an error
+function deliver(listeners, message, sender, setLastError) {
+    return new Promise(resolve => {
+        let answered = false;
+        const sendResponse = (value) => {
+            if (answered) return;
+            answered = true;
+            resolve(value);
+        };
+        let keepOpen = false;
+        for (const listener of listeners) {
+            if (listener(message, sender, sendResponse) === true) keepOpen = true;
+        }
+        if (!keepOpen && !answered) {
+            setLastError('The message port closed before a response was received.');
+            resolve(undefined);
+        }
+    });
+}
+
+// Everything the service worker tells extension pages, plus downloads.
+// Functions in `forward` get each message too (runtime.onMessage of a page).
+function createEvents(log) {
+    const seen = [];
+    const waiters = [];
+    const forward = [];
+    return {
+        seen,
+        forward,
+        emit(message) {
+            seen.push(message);
+            for (const w of waiters.slice()) {
+                if (w.actions.includes(message.action)) {
+                    waiters.splice(waiters.indexOf(w), 1);
+                    w.resolve(message);
+                }
+            }
+            for (const fn of forward) fn(message);
+        },
+        // Resolves with the first matching message sent after this call
+        waitFor(actions, timeoutMs = 60000) {
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${actions.join('/')}\n` +
+                    log.lines.slice(-30).join('\n'))), timeoutMs);
+                waiters.push({ actions, resolve: (m) => { clearTimeout(timer); resolve(m); } });
+            });
+        },
+    };
+}
+
+function createVirtualConsole(log) {
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', (e) => log.console.error(e.message));
+    for (const level of ['log', 'info', 'warn', 'error', 'debug']) {
+        virtualConsole.on(level, (...args) => log.console[level](...args));
+    }
+    return virtualConsole;
+}
+
+function createLog(verbose) {
+    const lines = [];
+    const write = (level) => (...args) => {
+        lines.push(`[${level}] ${args.map(a => typeof a === 'string' ? a : JSON.stringify(a)).join(' ')}`);
+        if (verbose) console.log(lines[lines.length - 1]);
+    };
+    return { lines, console: { log: write('log'), info: write('info'), warn: write('warn'), error: write('error'), debug: write('debug') } };
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+//  Background (service worker) in a vm context
+// ═══════════════════════════════════════════════════════════════════════
+
+function loadBackground(window, log, events) {
+    const listeners = [];
+    const unref = (t) => { t?.unref?.(); return t; };
+    const context = vm.createContext({
+        console: log.console,
+        setTimeout: (fn, ms, ...args) => unref(setTimeout(fn, ms, ...args)),
+        clearTimeout,
+        setInterval: (fn, ms, ...args) => unref(setInterval(fn, ms, ...args)),
+        clearInterval,
+        TextEncoder,
+        TextDecoder,
+        Blob,
+        fetch,
+        crypto: globalThis.crypto,
+        indexedDB: new IDBFactory(),    // fresh database per page
+    });
+    context.self = context;
+
+    const chrome = {
+        runtime: {
+            lastError: null,
+            getManifest: () => JSON.parse(readSource('manifest.json')),
+            onMessage: { addListener: (fn) => listeners.push(fn) },
+            // Service worker → popup: status updates end up here
+            sendMessage: async (message) => { events.emit(message); },
+        },
+        tabs: {
+            sendMessage: (tabId, message) => window.__deliverToContent(message),
+            query: async () => [{ id: TAB_ID, url: 'https://app.betaflight.com/' }],
+            captureVisibleTab: (windowId, options, callback) => {
+                events.emit({ action: 'capture', ...options });
+                setTimeout(() => callback(options.format === 'png' ? FAKE_PNG_SCREENSHOT : FAKE_SCREENSHOT), 5);
+            },
+        },
+        scripting: {
+            // world: "MAIN" functions are re-created inside the page
+            executeScript: ({ func, args = [] }, callback) => {
+                const done = (results) => callback ? callback(results) : results;
+                try {
+                    const result = window.eval(`(${func.toString()})`)(...args);
+                    return Promise.resolve(result).then(r => done([{ result: r }]));
+                } catch (e) {
+                    chrome.runtime.lastError = { message: e.message };
+                    done(undefined);
+                    chrome.runtime.lastError = null;
+                }
+            },
+        },
+        storage: {
+            session: { set: async () => {}, get: async () => ({}), remove: async () => {} },
+            local: { get: async () => ({}), set: async () => {} },
+        },
+        // Optional permissions (debugger) are never granted here
+        permissions: { contains: async () => false },
+        action: { setBadgeText() {}, setBadgeBackgroundColor() {} },
+        notifications: { create() {} },
+        commands: { onCommand: { addListener() {} } },
+        downloads: {
+            // Promise without a callback, like the real API
+            download: (options, callback) => {
+                events.emit({ action: 'download', ...options });
+                return callback ? callback(1) : Promise.resolve(1);
+            },
+        },
+    };
+    context.chrome = chrome;
+    context.JSZip = require(path.join(ROOT, 'jszip.min.js'));
+    context.importScripts = (...files) => {
+        for (const file of files) {
+            if (file === 'jszip.min.js') continue;
+            vm.runInContext(readSource(file), context, { filename: file });
+        }
+    };
+    vm.runInContext(readSource('background.js'), context, { filename: 'background.js' });
+    return { context, listeners };
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+//  Fixture page + content script
+// ═══════════════════════════════════════════════════════════════════════
+
+// Returns { window, fixture, background, log, send(message), waitFor(action), close() }
+async function openFixture({ speedup = 20, verbose = !!process.env.BF_TEST_VERBOSE } = {}) {
+    const log = createLog(verbose);
+    const dom = await JSDOM.fromFile(FIXTURE, {
+        runScripts: 'dangerously',
+        resources: 'usable',
+        pretendToBeVisual: true,
+        virtualConsole: createVirtualConsole(log),
+    });
+    const { window } = dom;
+    await new Promise(resolve => window.addEventListener('load', resolve));
+    addLayoutShim(window);
+    speedUpTimers(window, speedup);
+
+    const events = createEvents(log);
+    const background = loadBackground(window, log, events);
+
+    // Content-script side of chrome.* (isolated world in a real browser)
+    const contentListeners = [];
+    const contentChrome = {
+        runtime: {
+            lastError: null,
+            onMessage: { addListener: (fn) => contentListeners.push(fn) },
+            sendMessage(message, callback) {
+                const reply = deliver(background.listeners, message, { tab: { id: TAB_ID, windowId: 1 } },
+                    (msg) => { contentChrome.runtime.lastError = { message: msg }; });
+                return reply.then(value => {
+                    if (callback) callback(value);
+                    contentChrome.runtime.lastError = null;
+                    return value;
+                });
+            },
+        },
+    };
+    window.chrome = contentChrome;
+    window.__deliverToContent = (message) => deliver(contentListeners, message, {}, () => {});
+    // Same scripts, same order as the extension injects them
+    for (const file of JSON.parse(readSource('manifest.json')).content_scripts[0].js) {
+        window.eval(readSource(file));
+    }
+
+    return {
+        window,
+        fixture: window.fixture,
+        background: background.context,
+        log,
+        seen: events.seen,
+        // Message to the service worker as if from the popup. Resolves with
+        // the response, and never for fire-and-forget actions like startBackup.
+        send: (message) => deliver(background.listeners, message, {}, () => {}),
+        waitFor: events.waitFor,
+        close: () => window.close(),
+    };
+}
+
+// serial.html as an extension page next to the same background. Returns
+// the same shape as openFixture() (no fixture).
+async function openSerialPage({ verbose = !!process.env.BF_TEST_VERBOSE } = {}) {
+    const log = createLog(verbose);
+    const events = createEvents(log);
+    const background = loadBackground(null, log, events);
+    const pageListeners = [];
+    events.forward.push((message) => deliver(pageListeners, message, {}, () => {}));
+
+    const dom = await JSDOM.fromFile(SERIAL_PAGE, {
+        runScripts: 'dangerously',
+        resources: 'usable',
+        pretendToBeVisual: true,
+        virtualConsole: createVirtualConsole(log),
+        beforeParse(window) {
+            // jsdom has no Web Streams – the simulated port needs them
+            window.ReadableStream = ReadableStream;
+            window.WritableStream = WritableStream;
+            window.chrome = {
+                runtime: {
+                    getManifest: background.context.chrome.runtime.getManifest,
+                    onMessage: { addListener: (fn) => pageListeners.push(fn) },
+                    sendMessage: (message) => deliver(background.listeners, message, {}, () => {}),
+                },
+                storage: background.context.chrome.storage,
+            };
+        },
+    });
+    const { window } = dom;
+    await new Promise(resolve => window.addEventListener('load', resolve));
+
+    return {
+        window,
+        background: background.context,
+        log,
+        seen: events.seen,
+        send: (message) => deliver(background.listeners, message, {}, () => {}),
+        waitFor: events.waitFor,
+        close: () => window.close(),
+    };
+}
+
+// The backup ZIP downloaded after seen[start], unpacked
+async function readBackupZip(seen, start = 0) {
+    const JSZip = require(path.join(ROOT, 'jszip.min.js'));
+    const result = seen.slice(start).find(m => m.action === 'download' && m.filename.endsWith('.zip'));
+    if (!result) return null;
+
+    const zip = await JSZip.loadAsync(result.url.split(',')[1], { base64: true });
+    const [root] = Object.keys(zip.files)[0].split('/');
+    const files = Object.values(zip.files).filter(f => !f.dir).map(f => f.name.slice(root.length + 1)).sort();
+    return { zip, root, files, filename: result.filename };
+}
+
+// Run a backup from the popup's point of view and return the downloaded ZIP
+// (also the partial one of a failed run) plus the error, if any.
+// With `resume`, continues the interrupted run instead (options are unused).
+async function runFixtureBackup(page, options, { resume = false } = {}) {
+    const start = page.seen.length;
+    const finished = page.waitFor(['backupComplete', 'backupError']);
+    // No response – progress arrives as events
+    page.send(resume ? { action: 'resumeBackup', tabId: TAB_ID } : { action: 'startBackup', tabId: TAB_ID, options });
+    const status = await finished;
+    const error = status.action === 'backupError' ? status.message : undefined;
+    return { error, ...await readBackupZip(page.seen, start) };
+}
+
+module.exports = { openFixture, openSerialPage, runFixtureBackup, readBackupZip };
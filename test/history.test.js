@@ -0,0 +1,72 @@
+// ============================================================================
+// Betaflight Backup Extension – Backup History Tests
+// history.js on fake-indexeddb: entries without their ZIPs, the ZIP store
+// and the upgrade from the single-store layout.
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { IDBFactory } = require('fake-indexeddb');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'history.js'), 'utf8');
+
+// history.js with a fresh, empty database
+function loadHistory() {
+    const context = vm.createContext({ indexedDB: new IDBFactory() });
+    vm.runInContext(SOURCE, context, { filename: 'history.js' });
+    return context;
+}
+
+const zipOf = (text) => new Blob([text], { type: 'application/zip' });
+
+test('entries are listed without their ZIP, which is loaded on its own', async () => {
+    const history = loadHistory();
+    const first = await history.addHistoryEntry({ timestamp: 1, name: 'old.zip', size: 3, zip: zipOf('old') });
+    const second = await history.addHistoryEntry({ timestamp: 2, name: 'new.zip', size: 3, zip: zipOf('new') });
+
+    const entries = await history.listHistoryEntries();
+    assert.deepEqual(entries.map(e => [e.id, e.name, 'zip' in e]), [[second, 'new.zip', false], [first, 'old.zip', false]]);
+    assert.deepEqual([...entries[0].tags], []);
+    assert.equal(await (await history.getHistoryZip(first)).text(), 'old');
+
+    await history.updateHistoryEntry(first, { name: 'renamed.zip' });
+    assert.equal((await history.getHistoryEntry(first)).name, 'renamed.zip');
+    assert.equal(await (await history.getHistoryZip(first)).text(), 'old');
+
+    await history.deleteHistoryEntry(first);
+    assert.equal(await history.getHistoryEntry(first), undefined);
+    assert.equal(await history.getHistoryZip(first), null);
+});
+
+test('pruning removes the oldest entries together with their ZIPs', async () => {
+    const history = loadHistory();
+    const ids = [];
+    for (const t of [1, 2, 3]) ids.push(await history.addHistoryEntry({ timestamp: t, name: `${t}.zip`, zip: zipOf(`${t}`) }));
+
+    assert.equal(await history.pruneHistory(2), 1);
+    assert.deepEqual((await history.listHistoryEntries()).map(e => e.name), ['3.zip', '2.zip']);
+    assert.equal(await history.getHistoryZip(ids[0]), null);
+});
+
+test('ZIPs stored inside version 1 entries move to the ZIP store', async () => {
+    const history = loadHistory();
+    await new Promise((resolve, reject) => {
+        const req = history.indexedDB.open(history.HISTORY_DB_NAME, 1);
+        req.onupgradeneeded = () => {
+            const store = req.result.createObjectStore('backups', { keyPath: 'id', autoIncrement: true });
+            store.createIndex('timestamp', 'timestamp');
+            store.add({ timestamp: 5, name: 'legacy.zip', tags: ['race'], zip: zipOf('legacy') });
+        };
+        req.onsuccess = () => { req.result.close(); resolve(); };
+        req.onerror = () => reject(req.error);
+    });
+
+    const [entry] = await history.listHistoryEntries();
+    assert.equal(entry.name, 'legacy.zip');
+    assert.equal('zip' in entry, false);
+    assert.deepEqual([...entry.tags], ['race']);
+    assert.equal(await (await history.getHistoryZip(entry.id)).text(), 'legacy');
+});
@@ -0,0 +1,85 @@
+// ============================================================================
+// Betaflight Backup Extension – MSP Tests
+// MSP v1 framing of msp.js, CLI output framing, and a serial link talking
+// to the simulated flight controller of serial_sim.js.
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({ TextEncoder, TextDecoder, ReadableStream, WritableStream, setTimeout, console });
+for (const file of ['cli_parser.js', 'msp.js', 'serial_sim.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+}
+
+const bytes = (frame) => Array.from(frame);
+
+test('frames encode as "$M" direction, size, code, payload and XOR checksum', () => {
+    assert.deepEqual(bytes(context.encodeMspFrame('<', 1)), [0x24, 0x4d, 0x3c, 0, 1, 1]);
+    assert.deepEqual(bytes(context.encodeMspFrame('>', 10, [0x41, 0x42])), [0x24, 0x4d, 0x3e, 2, 10, 0x41, 0x42, 2 ^ 10 ^ 0x41 ^ 0x42]);
+});
+
+test('decoding skips noise before a header and flags bad checksums', () => {
+    const good = bytes(context.encodeMspFrame('>', 3, [4, 5, 1]));
+    const bad = bytes(context.encodeMspFrame('>', 2, [0x42, 0x54, 0x46, 0x4c]));
+    bad[bad.length - 1] ^= 0xff;
+    const unsupported = bytes(context.encodeMspFrame('!', 99));
+
+    const { frames, rest } = context.decodeMspFrames([0x0d, 0x0a, 0x24, ...good, ...bad, ...unsupported]);
+    assert.deepEqual([...frames].map(f => [f.direction, f.code, f.ok]), [['>', 3, true], ['>', 2, false], ['!', 99, true]]);
+    assert.equal(context.parseMspFcVersion(frames[0].payload), '4.5.1');
+    assert.deepEqual([...rest], []);
+});
+
+test('a partial frame is kept until the rest arrives', () => {
+    const frame = bytes(context.encodeMspFrame('>', 10, [0x53, 0x69, 0x6d]));
+    for (const cut of [1, 3, 5, frame.length - 1]) {
+        const first = context.decodeMspFrames(frame.slice(0, cut));
+        assert.equal(first.frames.length, 0);
+        assert.deepEqual([...first.rest], frame.slice(0, cut));
+
+        const second = context.decodeMspFrames([...first.rest, ...frame.slice(cut)]);
+        assert.equal(second.frames.length, 1);
+        assert.equal(context.parseMspName(second.frames[0].payload), 'Sim');
+    }
+});
+
+test('CLI output is complete only after the prompt and the closed batch', () => {
+    const echo = '# diff all\r\n# version\r\nbatch start\r\nset p_roll = 45\r\n';
+    assert.equal(context.frameCliOutput(echo, 'diff all').complete, false);
+    assert.equal(context.frameCliOutput(`${echo}\r\n# `, 'diff all').complete, false);
+
+    const framed = context.frameCliOutput(`${echo}save\r\n\r\n# `, 'diff all');
+    assert.equal(framed.complete, true);
+    assert.equal(framed.output, '# version\nbatch start\nset p_roll = 45\nsave');
+});
+
+test('serial link reads MSP board info and CLI output from the simulated FC', async () => {
+    const port = context.createSimulatedSerialPort({ latencyMs: 1 });
+    await port.open({ baudRate: 115200 });
+    const link = context.createSerialLink(port);
+    try {
+        const info = await context.readMspInfo(link);
+        assert.equal(info.apiVersion, '1.46');
+        assert.equal(info.fcVariant, 'BTFL');
+        assert.equal(info.fcVersion, '4.5.1');
+        assert.equal(info.board.boardName, 'SPEEDYBEEF7V3');
+        assert.equal(info.build.gitHash, '77d01ba');
+        assert.equal(info.craftName, 'SimQuad');
+
+        await link.enterCli();
+        const diff = await link.cli('diff all', 5000);
+        assert.equal(diff.complete, true);
+        assert.match(diff.output, /^# version\n# Betaflight \/ STM32F7X2/);
+        assert.match(diff.output, /\nsave$/);
+        const version = await link.cli('version', 5000);
+        assert.equal(version.complete, true);
+        assert.match(version.output, /^# Betaflight \/ STM32F7X2 \(S7X2\) 4\.5\.1/);
+        await link.exitCli();
+    } finally {
+        await link.close();
+    }
+});
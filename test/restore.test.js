@@ -0,0 +1,82 @@
+// ============================================================================
+// Betaflight Backup Extension – End-to-End Restore Tests
+// Restores against the mock configurator's CLI (serial_sim.js answers the
+// commands; `save` and `exit` reboot and reconnect), see harness.js.
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openFixture } = require('./harness');
+
+// The simulated FC's own diff: restoring it must verify cleanly
+const simDiff = (page) => page.window.simFcConfig(page.window.SIM_FC_DEFAULTS, false);
+
+function startRestore(page, diffText) {
+    const finished = page.waitFor(['backupComplete', 'backupError']);
+    page.send({ action: 'startRestore', tabId: 1, diffText });
+    return finished;
+}
+
+test('restore replays the diff, saves and verifies it against the craft', async (t) => {
+    const page = await openFixture();
+    t.after(() => page.close());
+
+    const result = await startRestore(page, simDiff(page));
+    assert.equal(result.action, 'backupComplete');
+    assert.equal(result.message, 'Restore verified – craft matches the backup.');
+
+    const commands = [...page.fixture.cliCommands];
+    const expected = [...page.background.buildRestoreCommands(simDiff(page))];
+    assert.deepEqual(commands, [...expected, 'save', 'diff all']);
+    assert.equal(page.fixture.reboots, 1);
+    assert.ok(page.seen.some(m => m.message === 'Restore: 43/43 commands applied...'));
+});
+
+test('settings that differ after the reboot are reported', async (t) => {
+    const page = await openFixture();
+    t.after(() => page.close());
+
+    const result = await startRestore(page, simDiff(page).replace('set p_roll = 45', 'set p_roll = 60'));
+    assert.equal(result.action, 'backupError');
+    assert.equal(result.message, 'Restore saved, but 1 setting(s) differ from the backup: profile 0 p_roll: 60 → 45');
+    assert.ok(page.fixture.cliCommands.includes('save'));
+});
+
+test('a rejected command aborts the restore with exit and nothing saved', async (t) => {
+    const page = await openFixture();
+    t.after(() => page.close());
+
+    // Command 25 – in the second chunk of 20
+    const diffText = simDiff(page).replace('set craft_name = SimQuad', 'set bogus_setting = 1\nset craft_name = SimQuad');
+    const rolledBack = page.waitFor(['restoreRolledBack']);
+    const result = await startRestore(page, diffText);
+    assert.equal(result.action, 'backupError');
+    assert.match(result.message, /^Error: Restore aborted, configuration NOT saved: CLI rejected 1 command\(s\) in commands 21–40: /);
+    assert.match(result.message, /###ERROR IN set: Invalid name: bogus_setting###/);
+    assert.match(result.message, /the 40 of 44 commands sent were discarded with 'exit'/);
+
+    const commands = [...page.fixture.cliCommands];
+    assert.equal(commands.length, 41);
+    assert.equal(commands[40], 'exit');
+    assert.equal(commands.includes('save'), false);
+    assert.equal(page.fixture.reboots, 1);
+    assert.deepEqual([...(await rolledBack).commands], commands.slice(0, 40));
+});
+
+test('a truncated diff is refused before anything is sent', async (t) => {
+    const page = await openFixture();
+    t.after(() => page.close());
+
+    // Cut off in the middle, as saved when the CLI prompt never came back
+    const lines = simDiff(page).split('\n');
+    const truncated = ['# WARNING: output truncated – no CLI prompt after 45s',
+        ...lines.slice(0, lines.indexOf('# master'))].join('\n');
+    const result = await startRestore(page, truncated);
+    assert.equal(result.action, 'backupError');
+    assert.equal(result.message, "Restore refused – the backup's diff_all.txt is incomplete: " +
+        "the CLI output was truncated when the backup was made; 'batch start' has no matching 'batch end' or 'save'");
+    assert.deepEqual([...page.fixture.cliCommands], []);
+
+    // Idle again: a complete diff can still be restored
+    assert.equal((await startRestore(page, simDiff(page))).action, 'backupComplete');
+});
@@ -0,0 +1,62 @@
+// ============================================================================
+// Betaflight Backup Extension – Selector Profile Tests
+// Profile detection and fallback order of selectors.js on minimal pages.
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'selectors.js'), 'utf8');
+
+function pageWith(body) {
+    const { window } = new JSDOM(`<body>${body}</body>`, { runScripts: 'outside-only' });
+    window.eval(SOURCE);
+    return window;
+}
+
+test('configurator version picks the matching profile', () => {
+    const web = pageWith('<div id="status-bar"><span class="version">2025.12.2</span></div>');
+    assert.deepEqual(pick(web.detectSelectorProfile(web.document)), ['web-2025', '2025.12.2', 'version']);
+
+    const desktop = pageWith('<div id="logo"><span class="version">10.10.0</span></div>');
+    assert.deepEqual(pick(desktop.detectSelectorProfile(desktop.document)), ['desktop-10', '10.10.0', 'version']);
+});
+
+test('marker elements decide when the version is unreadable', () => {
+    const desktop = pageWith('<div class="connect_b"><a>Connect</a></div>');
+    assert.deepEqual(pick(desktop.detectSelectorProfile(desktop.document)), ['desktop-10', null, 'markers']);
+
+    const unknown = pageWith('<p>nothing known</p>');
+    assert.deepEqual(pick(unknown.detectSelectorProfile(unknown.document)), ['web-2025', null, 'default']);
+});
+
+test('lookups try the active profile first, then fall back', () => {
+    const window = pageWith('<ul id="tabs"><li class="tab_cli"><a class="tabicon">CLI</a></li></ul>');
+    const desktop = window.SELECTOR_PROFILES.find(p => p.id === 'desktop-10');
+    window.useSelectorProfile(desktop);
+
+    const chain = [...window.selectorChain('tabLink', { tab: 'tab_cli' })];
+    assert.deepEqual(chain, ['#tabs li.tab_cli > a.tabicon', 'li.tab_cli > a.tabicon']);
+    assert.equal(window.queryFirst('tabLink', { vars: { tab: 'tab_cli' } }).textContent, 'CLI');
+
+    // Keys the active profile doesn't define come from the others
+    assert.ok(window.selectorChain('cliTerminal').includes('.xterm'));
+});
+
+test('select lookups fill their placeholders and stay inside #content', () => {
+    const window = pageWith('<select name="profile"></select><div id="content">' +
+        '<select name="profile"></select><select class="pids" data-setting="pid_profile"></select></div>');
+    const inContent = (el) => el?.parentElement.id === 'content';
+
+    assert.ok(inContent(window.queryFirst('namedSelect', { vars: { name: 'profile' } })));
+    assert.equal(window.queryFirst('settingSelect', { vars: { keyword: 'PID' } }).className, 'pids');
+    assert.equal(window.queryAllFirst('classSelect', { vars: { cls: 'pids' } }).selector, '#content select.pids');
+    assert.equal(window.queryAllFirst('contentSelects').elements.length, 2);
+});
+
+function pick({ profile, version, reason }) {
+    return [profile.id, version, reason];
+}
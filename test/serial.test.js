@@ -0,0 +1,86 @@
+// ============================================================================
+// Betaflight Backup Extension – USB Backup Tests
+// serial.html against the simulated flight controller (serial_sim.js) and
+// the real background, as in the extension.
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openSerialPage, readBackupZip } = require('./harness');
+
+// Resolves once check() is truthy (polls; the page has no event for everything)
+async function until(check, timeoutMs = 20000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!check()) {
+        if (Date.now() > deadline) throw new Error('Timed out');
+        await new Promise(r => setTimeout(r, 10));
+    }
+}
+
+// Records what the page writes to the simulated port, and whether it closed it
+function spyOnSimulatedPort(window) {
+    const spy = { written: '', closed: false };
+    const createPort = window.createSimulatedSerialPort;
+    window.createSimulatedSerialPort = (overrides) => {
+        const port = createPort(overrides);
+        const { open, close } = port;
+        port.open = async (options) => {
+            await open.call(port, options);
+            const inner = port.writable.getWriter();
+            port.writable = new WritableStream({
+                write(chunk) {
+                    spy.written += Buffer.from(chunk).toString('latin1');
+                    return inner.write(chunk);
+                },
+            });
+        };
+        port.close = async () => {
+            spy.closed = true;
+            await close.call(port);
+        };
+        return port;
+    };
+    return spy;
+}
+
+function startSimulatedBackup(page) {
+    page.window.document.getElementById('optSimulate').checked = true;
+    page.window.document.getElementById('startBackupBtn').click();
+}
+
+test('USB backup saves the CLI output of the simulated FC', async (t) => {
+    const page = await openSerialPage();
+    t.after(() => page.close());
+    const spy = spyOnSimulatedPort(page.window);
+
+    const finished = page.waitFor(['backupComplete', 'backupError']);
+    startSimulatedBackup(page);
+    assert.equal((await finished).action, 'backupComplete');
+
+    const result = await readBackupZip(page.seen);
+    assert.deepEqual(result.files.filter(f => f.startsWith('CLI/')),
+        ['CLI/config.json', 'CLI/diff_all.txt', 'CLI/dump_all.txt', 'CLI/status.txt', 'CLI/version.txt']);
+    assert.match(await result.zip.file(`${result.root}/CLI/version.txt`).async('string'), /4\.5\.1/);
+    assert.match(page.window.document.getElementById('serialLog').textContent, /BTFL 4\.5\.1 on SPEEDYBEEF7V3 \(MSP API 1\.46\)/);
+
+    // Read-only: the CLI is left with `exit`, never `save`
+    await until(() => spy.closed);
+    assert.match(spy.written, /\nexit\n$/);
+    assert.doesNotMatch(spy.written, /\nsave\n/);
+});
+
+test('stopping a USB backup still leaves the CLI and closes the port', async (t) => {
+    const page = await openSerialPage();
+    t.after(() => page.close());
+    const spy = spyOnSimulatedPort(page.window);
+
+    const stopped = page.waitFor(['backupError']);
+    startSimulatedBackup(page);
+    await until(() => page.seen.some(m => m.message === "CLI: 'dump all'..."));
+    page.send({ action: 'stopBackup' });
+    assert.equal((await stopped).message, 'Backup stopped by user.');
+
+    await until(() => spy.closed);
+    assert.match(spy.written, /#diff all\ndump all\n(version\n)?exit\n$/);
+    assert.equal(page.seen.some(m => m.action === 'download'), false);
+});
@@ -0,0 +1,85 @@
+// ============================================================================
+// Betaflight Backup Extension – Stitching Tests
+// Overlap matching and tiling of stitch.js on synthetic captures.
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'stitch.js'), 'utf8'), context);
+
+// A tall "page" of random grey rows and a viewport-sized window into it
+const WIDTH = 32;
+const VIEW = 400;
+const HEADER = 60;   // rows pinned above the scrolling band
+
+function makePage(height) {
+    let seed = 7;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    return Array.from({ length: height }, () => Array.from({ length: WIDTH }, () => Math.floor(random() * 256)));
+}
+
+function captureAt(page, scrollTop) {
+    const data = new Uint8ClampedArray(WIDTH * VIEW * 4);
+    for (let y = 0; y < VIEW; y++) {
+        const row = y < HEADER ? new Array(WIDTH).fill(200) : page[scrollTop + y - HEADER];
+        for (let x = 0; x < WIDTH; x++) data.set([row[x], row[x], row[x], 255], (y * WIDTH + x) * 4);
+    }
+    return context.rowSignatures({ data, width: WIDTH, height: VIEW });
+}
+
+test('overlap matching corrects an inaccurate scroll distance', () => {
+    const page = makePage(2000);
+    const prev = captureAt(page, 0);
+    const next = captureAt(page, 297);
+
+    // Reported 300 px, actually scrolled 297 px
+    assert.equal(context.findScrollOffset(prev, next, 300, HEADER, VIEW), 297);
+    assert.equal(context.findScrollOffset(prev, next, 297, HEADER, VIEW), 297);
+});
+
+test('flat content keeps the reported distance', () => {
+    const flat = Array.from({ length: 2000 }, () => new Array(WIDTH).fill(40));
+    const prev = captureAt(flat, 0);
+    const next = captureAt(flat, 310);
+    assert.equal(context.findScrollOffset(prev, next, 300, HEADER, VIEW), 300);
+});
+
+test('plan keeps the header once and appends only new band rows', () => {
+    const frames = [{ offset: 0 }, { offset: 290 }, { offset: 120 }];
+    const tiles = context.planStitch(frames, { imageHeight: 440, top: HEADER, bottom: VIEW }, 100000);
+
+    assert.equal(tiles.length, 1);
+    assert.deepEqual([...tiles[0].draws].map(d => [d.frame, d.sy, d.height, d.dy, d.band]), [
+        [0, 0, 400, 0, false],       // header + first screen
+        [1, 110, 290, 400, true],    // new rows of the container only
+        [2, 280, 120, 690, true],
+        [2, 400, 40, 810, false],    // footer below the container, once
+    ]);
+    assert.equal(tiles[0].height, 850);
+});
+
+test('tall pages split into continuous tiles within the canvas limit', () => {
+    const frames = [{ offset: 0 }].concat(Array.from({ length: 20 }, () => ({ offset: 300 })));
+    const tiles = context.planStitch(frames, { imageHeight: VIEW, top: HEADER, bottom: VIEW }, 1000);
+
+    assert.equal(tiles.reduce((sum, t) => sum + t.height, 0), 400 + 20 * 300);
+    assert.ok(tiles.every(t => t.height <= 1000));
+    assert.equal(tiles.length, 7);
+
+    // Each tile starts where the previous one ended – no gaps, no repeats
+    const rows = [];
+    for (const tile of tiles) {
+        for (const d of tile.draws) rows.push([d.frame, d.sy, d.sy + d.height]);
+    }
+    for (let i = 1; i < rows.length; i++) {
+        if (rows[i][0] === rows[i - 1][0]) assert.equal(rows[i][1], rows[i - 1][2]);
+    }
+
+    assert.equal(context.maxStitchHeight(1920), 16383);
+    assert.equal(context.maxStitchHeight(10000), Math.floor(16384 * 8192 / 10000));
+});